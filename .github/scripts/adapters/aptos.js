@@ -0,0 +1,61 @@
+/**
+ * Aptos adapter: calls the 0x1::coin view functions through the fullnode REST API
+ */
+
+const { fromBaseUnits } = require('./json-rpc');
+
+/**
+ * Calls an Aptos view function
+ * @param {string} rpc - Fullnode REST base URL (e.g. https://fullnode.mainnet.aptoslabs.com/v1)
+ * @param {string} functionId - Fully qualified view function
+ * @param {string} coinType - Coin type argument
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<Array>} View function return values
+ */
+async function callViewFunction(rpc, functionId, coinType, timeoutMs) {
+    const response = await fetch(`${rpc.replace(/\/$/, '')}/view`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            function: functionId,
+            type_arguments: [coinType],
+            arguments: []
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${functionId}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data)) {
+        throw new Error(`Invalid response from ${functionId}`);
+    }
+    return data;
+}
+
+/**
+ * Fetches token total supply from one Aptos fullnode
+ * @param {Object} chain - Chain registry entry (contractAddress is the coin type)
+ * @param {string} rpc - Fullnode REST base URL
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<number>} Total supply in whole tokens
+ */
+async function fetchTotalSupply(chain, rpc, options) {
+    // coin::supply returns Option<u128>, serialized as { vec: [] } or { vec: ["123"] }
+    const [supply] = await callViewFunction(rpc, '0x1::coin::supply', chain.contractAddress, options.timeoutMs);
+    if (!supply || !Array.isArray(supply.vec) || supply.vec.length === 0) {
+        throw new Error('Coin supply is not tracked on Aptos');
+    }
+
+    const decimals = chain.decimals ??
+        (await callViewFunction(rpc, '0x1::coin::decimals', chain.contractAddress, options.timeoutMs))[0];
+
+    return fromBaseUnits(supply.vec[0], decimals);
+}
+
+module.exports = {
+    type: 'aptos',
+    fetchTotalSupply
+};
@@ -0,0 +1,74 @@
+/**
+ * EVM adapter: reads ERC-20 totalSupply(), balanceOf() and decimals()
+ */
+
+const ethers = require('ethers');
+
+// ERC-20 ABI for supply and balance reads
+const ERC20_ABI = [
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+];
+
+/**
+ * Runs a read against the token contract on one RPC endpoint
+ * @param {Object} chain - Chain registry entry (chainId, contractAddress)
+ * @param {string} rpc - RPC endpoint
+ * @param {Object} options - { timeoutMs }
+ * @param {Function} readFn - async (contract) => number
+ * @returns {Promise<number>} Result of readFn
+ */
+async function withTokenContract(chain, rpc, options, readFn) {
+    const request = new ethers.FetchRequest(rpc);
+    request.timeout = options.timeoutMs;
+
+    // staticNetwork skips network detection, which otherwise retries forever on a dead RPC
+    const provider = new ethers.JsonRpcProvider(request, chain.chainId, { staticNetwork: true });
+    try {
+        const contract = new ethers.Contract(chain.contractAddress, ERC20_ABI, provider);
+        return await readFn(contract);
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * Fetches token total supply from one EVM RPC endpoint
+ * @param {Object} chain - Chain registry entry (chainId, contractAddress)
+ * @param {string} rpc - RPC endpoint
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<number>} Total supply in whole tokens
+ */
+async function fetchTotalSupply(chain, rpc, options) {
+    return withTokenContract(chain, rpc, options, async (contract) => {
+        const totalSupply = await contract.totalSupply();
+        const decimals = await contract.decimals();
+
+        // Convert to human-readable format
+        return Number(ethers.formatUnits(totalSupply, decimals));
+    });
+}
+
+/**
+ * Fetches the token balance of one address from one EVM RPC endpoint
+ * @param {Object} chain - Chain registry entry (chainId, contractAddress)
+ * @param {string} rpc - RPC endpoint
+ * @param {string} address - Holder address
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<number>} Balance in whole tokens
+ */
+async function fetchBalance(chain, rpc, address, options) {
+    return withTokenContract(chain, rpc, options, async (contract) => {
+        const balance = await contract.balanceOf(address);
+        const decimals = await contract.decimals();
+
+        return Number(ethers.formatUnits(balance, decimals));
+    });
+}
+
+module.exports = {
+    type: 'evm',
+    fetchTotalSupply,
+    fetchBalance
+};
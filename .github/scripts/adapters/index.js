@@ -0,0 +1,40 @@
+/**
+ * Token-supply adapters by chain type.
+ *
+ * Each adapter module exports:
+ *   type              - Matches the "type" of entries in data/chains.json
+ *   fetchTotalSupply  - async (chain, rpc, { timeoutMs }) => number
+ *                       Reads the supply from ONE endpoint and throws on any failure.
+ *                       Endpoint fallback and retries are handled by the caller.
+ *   fetchBalance      - Optional. async (chain, rpc, address, { timeoutMs }) => number
+ *                       Reads one holder's token balance, used for labelled holders.
+ *
+ * To support a new chain family, add a module here and list it below.
+ */
+
+const ADAPTER_MODULES = {
+    evm: './evm',
+    solana: './solana',
+    near: './near',
+    sui: './sui',
+    aptos: './aptos'
+};
+
+/**
+ * Returns the adapter for a chain type. Adapters are loaded on first use so a
+ * missing optional dependency only affects chains of that type.
+ * @param {string} type - Chain type from the registry
+ * @returns {Object} Adapter module
+ */
+function getAdapter(type) {
+    const modulePath = ADAPTER_MODULES[type];
+    if (!modulePath) {
+        throw new Error(`No supply adapter for chain type "${type}"`);
+    }
+    return require(modulePath);
+}
+
+module.exports = {
+    getAdapter,
+    supportedTypes: Object.keys(ADAPTER_MODULES)
+};
@@ -0,0 +1,58 @@
+/**
+ * Shared HTTP helpers for token-supply adapters
+ */
+
+/**
+ * Sends a JSON-RPC 2.0 request and returns its result
+ * @param {string} url - RPC endpoint
+ * @param {string} method - JSON-RPC method name
+ * @param {Array|Object} params - JSON-RPC params
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<any>} The "result" member of the response
+ */
+async function jsonRpcRequest(url, method, params, timeoutMs) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method,
+            params
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${method}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(`${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+    }
+    if (data.result === undefined) {
+        throw new Error(`Invalid response from ${method}`);
+    }
+
+    return data.result;
+}
+
+/**
+ * Converts an integer token amount in base units to a human-readable number
+ * @param {string|bigint} rawAmount - Amount in the token's smallest unit
+ * @param {number} decimals - Token decimals
+ * @returns {number} Amount in whole tokens
+ */
+function fromBaseUnits(rawAmount, decimals) {
+    const amount = BigInt(rawAmount);
+    const scale = 10n ** BigInt(decimals);
+    const whole = amount / scale;
+    const fraction = amount % scale;
+    return Number(whole) + Number(fraction) / Number(scale);
+}
+
+module.exports = {
+    jsonRpcRequest,
+    fromBaseUnits
+};
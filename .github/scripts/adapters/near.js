@@ -0,0 +1,53 @@
+/**
+ * NEAR adapter: calls the NEP-141 view methods ft_total_supply and ft_metadata
+ */
+
+const { jsonRpcRequest, fromBaseUnits } = require('./json-rpc');
+
+// Base64 of "{}" - both view methods take no arguments
+const EMPTY_ARGS_BASE64 = Buffer.from('{}').toString('base64');
+
+/**
+ * Calls a view method on a NEAR contract and parses its JSON return value
+ * @param {string} rpc - RPC endpoint
+ * @param {string} accountId - Token contract account
+ * @param {string} methodName - View method name
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<any>} Parsed return value
+ */
+async function callViewMethod(rpc, accountId, methodName, timeoutMs) {
+    const result = await jsonRpcRequest(rpc, 'query', {
+        request_type: 'call_function',
+        finality: 'final',
+        account_id: accountId,
+        method_name: methodName,
+        args_base64: EMPTY_ARGS_BASE64
+    }, timeoutMs);
+
+    if (!Array.isArray(result.result)) {
+        throw new Error(`Invalid response from NEAR ${methodName}`);
+    }
+
+    // The return value comes back as a byte array of JSON
+    return JSON.parse(Buffer.from(result.result).toString('utf8'));
+}
+
+/**
+ * Fetches token total supply from one NEAR RPC endpoint
+ * @param {Object} chain - Chain registry entry (contractAddress is the token account id)
+ * @param {string} rpc - RPC endpoint
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<number>} Total supply in whole tokens
+ */
+async function fetchTotalSupply(chain, rpc, options) {
+    const totalSupply = await callViewMethod(rpc, chain.contractAddress, 'ft_total_supply', options.timeoutMs);
+    const decimals = chain.decimals ??
+        (await callViewMethod(rpc, chain.contractAddress, 'ft_metadata', options.timeoutMs)).decimals;
+
+    return fromBaseUnits(totalSupply, decimals);
+}
+
+module.exports = {
+    type: 'near',
+    fetchTotalSupply
+};
@@ -0,0 +1,27 @@
+/**
+ * Solana adapter: reads SPL token supply via getTokenSupply
+ */
+
+const { jsonRpcRequest } = require('./json-rpc');
+
+/**
+ * Fetches token supply from one Solana RPC endpoint
+ * @param {Object} chain - Chain registry entry (contractAddress is the mint)
+ * @param {string} rpc - RPC endpoint
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<number>} Total supply in whole tokens
+ */
+async function fetchTotalSupply(chain, rpc, options) {
+    const result = await jsonRpcRequest(rpc, 'getTokenSupply', [chain.contractAddress], options.timeoutMs);
+
+    if (result && result.value) {
+        return Number(result.value.uiAmountString ?? result.value.uiAmount);
+    }
+
+    throw new Error('Invalid response from Solana RPC');
+}
+
+module.exports = {
+    type: 'solana',
+    fetchTotalSupply
+};
@@ -0,0 +1,35 @@
+/**
+ * Sui adapter: reads coin supply via suix_getTotalSupply
+ */
+
+const { jsonRpcRequest, fromBaseUnits } = require('./json-rpc');
+
+/**
+ * Fetches token total supply from one Sui RPC endpoint
+ * @param {Object} chain - Chain registry entry (contractAddress is the coin type, e.g. 0x...::woo::WOO)
+ * @param {string} rpc - RPC endpoint
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<number>} Total supply in whole tokens
+ */
+async function fetchTotalSupply(chain, rpc, options) {
+    const supply = await jsonRpcRequest(rpc, 'suix_getTotalSupply', [chain.contractAddress], options.timeoutMs);
+    if (!supply || supply.value === undefined) {
+        throw new Error('Invalid response from Sui RPC');
+    }
+
+    let decimals = chain.decimals;
+    if (decimals === undefined) {
+        const metadata = await jsonRpcRequest(rpc, 'suix_getCoinMetadata', [chain.contractAddress], options.timeoutMs);
+        if (!metadata) {
+            throw new Error('Coin metadata not found on Sui');
+        }
+        decimals = metadata.decimals;
+    }
+
+    return fromBaseUnits(supply.value, decimals);
+}
+
+module.exports = {
+    type: 'sui',
+    fetchTotalSupply
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+const SITE_ROOT = path.join(__dirname, '../../woo-quick-links');
+const LINKS_PATH = path.join(SITE_ROOT, 'data/links.json');
+const CHAINS_PATH = path.join(SITE_ROOT, 'data/chains.json');
+const METRICS_PATH = path.join(SITE_ROOT, 'data/metrics.json');
+const HOLDERS_PATH = path.join(SITE_ROOT, 'data/holders.json');
+
+// Public endpoints live under a version directory so the format can change
+// later without breaking existing consumers. Files carry the data's own
+// timestamps rather than a build time, so unchanged data produces no commit.
+const API_VERSION = 1;
+const API_DIR = path.join(SITE_ROOT, `api/v${API_VERSION}`);
+
+// 3 billion WOO max supply; burned supply is derived from it as in js/api.js
+const MAX_SUPPLY = 3000000000;
+
+// Column order of distribution.csv
+const CSV_COLUMNS = [
+    'chain',
+    'name',
+    'role',
+    'contract_address',
+    'decimals',
+    'balance',
+    'share_of_supply',
+    'balance_updated_at',
+    'stale'
+];
+
+/**
+ * Returns the latest of a list of ISO timestamps
+ * @param {Array<string|null>} timestamps - ISO timestamps, nulls ignored
+ * @returns {string|null} Latest timestamp, or null when there is none
+ */
+function latestTimestamp(timestamps) {
+    const valid = timestamps.filter(Boolean).sort();
+    return valid.length > 0 ? valid[valid.length - 1] : null;
+}
+
+/**
+ * Builds the per-chain distribution from the explorer entries of links.json
+ * @param {Array} links - Parsed links.json
+ * @param {Array} chains - Parsed chains.json
+ * @returns {Object} Contents of distribution.json
+ */
+function buildDistribution(links, chains) {
+    const explorerLinks = links
+        .filter(link => link.chain && typeof link.tokenBalance === 'number')
+        .sort((a, b) => b.tokenBalance - a.tokenBalance);
+
+    const totalBalance = explorerLinks.reduce((sum, link) => sum + link.tokenBalance, 0);
+
+    const rows = explorerLinks.map(link => {
+        const chain = chains.find(entry => entry.id === link.chain);
+        if (!chain) {
+            throw new Error(`Unknown chain "${link.chain}" for ${link.name}`);
+        }
+
+        return {
+            chain: chain.id,
+            name: chain.name,
+            role: chain.role,
+            contractAddress: link.contractAddress || chain.contractAddress,
+            decimals: chain.decimals ?? null,
+            balance: link.tokenBalance,
+            shareOfSupply: totalBalance > 0 ? link.tokenBalance / totalBalance : 0,
+            balanceUpdatedAt: link.balanceUpdatedAt || null,
+            stale: link.balanceStale === true
+        };
+    });
+
+    return {
+        version: API_VERSION,
+        token: 'WOO',
+        snapshotAt: latestTimestamp(rows.map(row => row.balanceUpdatedAt)),
+        totalBalance,
+        chains: rows
+    };
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or newline
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders the distribution as CSV, one row per chain
+ * @param {Object} distribution - Output of buildDistribution
+ * @returns {string} CSV with a header row
+ */
+function distributionToCsv(distribution) {
+    const lines = distribution.chains.map(row => [
+        row.chain,
+        row.name,
+        row.role,
+        row.contractAddress,
+        row.decimals,
+        row.balance,
+        row.shareOfSupply,
+        row.balanceUpdatedAt,
+        row.stale
+    ].map(toCsvField).join(','));
+
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Sums the balances read for one holder kind
+ * @param {Object} holdersData - Parsed holders.json
+ * @param {string} kind - Holder kind, e.g. 'burn'
+ * @returns {number|null} Total, or null when no holder of that kind has been read
+ */
+function getHolderTotal(holdersData, kind) {
+    const balances = holdersData.holders
+        .filter(holder => holder.kind === kind && typeof holder.balance === 'number')
+        .map(holder => holder.balance);
+    return balances.length > 0 ? balances.reduce((sum, balance) => sum + balance, 0) : null;
+}
+
+/**
+ * Builds the supply summary from the metrics snapshot and labelled holders.
+ * burned matches the page's Burned card: supply removed from totalSupply plus
+ * tokens parked at burn addresses.
+ * @param {Object} distribution - Output of buildDistribution
+ * @param {Object} metrics - Parsed metrics.json
+ * @param {Object} holdersData - Parsed holders.json
+ * @returns {Object} Contents of supply.json
+ */
+function buildSupply(distribution, metrics, holdersData) {
+    const burnAddressBalance = getHolderTotal(holdersData, 'burn');
+    const burned = metrics.totalSupply > 0
+        ? MAX_SUPPLY - metrics.totalSupply + (burnAddressBalance || 0)
+        : null;
+
+    return {
+        version: API_VERSION,
+        token: 'WOO',
+        totalSupply: metrics.totalSupply,
+        circulatingSupply: metrics.circulatingSupply,
+        metricsFetchedAt: metrics.fetchedAt,
+        // Sum of the per-chain balances in distribution.json
+        trackedSupply: distribution.totalBalance,
+        balancesSnapshotAt: distribution.snapshotAt,
+        maxSupply: MAX_SUPPLY,
+        burned,
+        burnAddressBalance,
+        treasury: getHolderTotal(holdersData, 'treasury'),
+        vesting: getHolderTotal(holdersData, 'vesting'),
+        bridgeEscrow: getHolderTotal(holdersData, 'bridge'),
+        holdersUpdatedAt: holdersData.updatedAt || null
+    };
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {*} Parsed contents
+ */
+function readJSON(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes distribution.json, distribution.csv and supply.json
+ */
+function main() {
+    console.log(`🔄 Building public data files in api/v${API_VERSION}...\n`);
+
+    const distribution = buildDistribution(readJSON(LINKS_PATH), readJSON(CHAINS_PATH));
+    const supply = buildSupply(distribution, readJSON(METRICS_PATH), readJSON(HOLDERS_PATH));
+
+    fs.mkdirSync(API_DIR, { recursive: true });
+    fs.writeFileSync(path.join(API_DIR, 'distribution.json'), JSON.stringify(distribution, null, 4) + '\n');
+    fs.writeFileSync(path.join(API_DIR, 'distribution.csv'), distributionToCsv(distribution));
+    fs.writeFileSync(path.join(API_DIR, 'supply.json'), JSON.stringify(supply, null, 4) + '\n');
+
+    console.log(`✓ distribution.json / distribution.csv: ${distribution.chains.length} chains`);
+    console.log(`✓ supply.json: ${distribution.totalBalance.toLocaleString()} WOO tracked`);
+    console.log(`\n✅ Data files saved to api/v${API_VERSION}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌ Fatal error:', error);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildDistribution, distributionToCsv, buildSupply };
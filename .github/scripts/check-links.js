@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFlags } = require('./lib/cli-options');
+
+const SITE_ROOT = path.join(__dirname, '../../woo-quick-links');
+const LINKS_PATH = path.join(SITE_ROOT, 'data/links.json');
+const REPORT_PATH = path.join(SITE_ROOT, 'data/link-health.json');
+
+// Defaults, overridable by CLI flag (see parseOptions)
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Flags accepted by parseOptions
+const FLAGS = {
+    'input': 'value',
+    'output': 'value',
+    'concurrency': 'value',
+    'timeout-ms': 'value',
+    'strict': 'boolean'
+};
+
+// Redirect hops followed before a URL is reported as broken
+const MAX_REDIRECTS = 5;
+
+// Statuses sites return to automated clients rather than for a dead page
+// (X, Telegram and Dune block or rate-limit bots). Reported, but not broken.
+const BOT_BLOCKED_STATUSES = [401, 403, 429];
+
+// Statuses that mean the server does not answer HEAD, so the check retries with GET
+const HEAD_UNSUPPORTED_STATUSES = [400, 404, 405, 501];
+
+// Some sites only answer requests that look like a browser
+const USER_AGENT = 'Mozilla/5.0 (compatible; woo-link-health/1.0; +https://github.com/benyorkemedia/vibes-stuff)';
+
+/**
+ * Requests a URL once without following redirects
+ * @param {string} url - URL to request
+ * @param {string} method - 'HEAD' or 'GET'
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<Response>} Response
+ */
+async function requestOnce(url, method, timeoutMs) {
+    const response = await fetch(url, {
+        method,
+        redirect: 'manual',
+        headers: { 'User-Agent': USER_AGENT },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    // The body is never read; release the connection
+    if (response.body) {
+        await response.body.cancel().catch(() => {});
+    }
+    return response;
+}
+
+/**
+ * Follows a URL's redirects by hand so each hop can be reported
+ * @param {string} url - URL to check
+ * @param {string} method - 'HEAD' or 'GET'
+ * @param {number} timeoutMs - Timeout per request in milliseconds
+ * @returns {Promise<Object>} { status, finalUrl, redirects }
+ */
+async function followRedirects(url, method, timeoutMs) {
+    const redirects = [];
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const response = await requestOnce(currentUrl, method, timeoutMs);
+        const location = response.headers.get('location');
+
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return { status: response.status, finalUrl: currentUrl, redirects };
+        }
+
+        const nextUrl = new URL(location, currentUrl).href;
+        redirects.push({ status: response.status, from: currentUrl, to: nextUrl });
+        currentUrl = nextUrl;
+    }
+
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Checks a link's URL, preferring HEAD and falling back to GET
+ * @param {string} url - URL to check
+ * @param {number} timeoutMs - Timeout per request in milliseconds
+ * @returns {Promise<Object>} { status, finalUrl, redirects }
+ */
+async function checkUrl(url, timeoutMs) {
+    const result = await followRedirects(url, 'HEAD', timeoutMs);
+    if (HEAD_UNSUPPORTED_STATUSES.includes(result.status)) {
+        return followRedirects(url, 'GET', timeoutMs);
+    }
+    return result;
+}
+
+/**
+ * Checks one links.json entry: URL status and redirects, image file, and
+ * that an explorer URL points at the entry's contract
+ * @param {Object} link - links.json entry
+ * @param {Object} options - { timeoutMs, siteRoot }
+ * @returns {Promise<Object>} Report entry { name, url, status, httpStatus, finalUrl, redirects, problems }
+ */
+async function checkLink(link, options) {
+    const problems = [];
+    const warnings = [];
+    const entry = {
+        name: link.name,
+        url: link.url,
+        status: 'ok',
+        httpStatus: null,
+        finalUrl: null,
+        redirects: []
+    };
+
+    try {
+        const result = await checkUrl(link.url, options.timeoutMs);
+        entry.httpStatus = result.status;
+        entry.finalUrl = result.finalUrl;
+        entry.redirects = result.redirects;
+
+        if (BOT_BLOCKED_STATUSES.includes(result.status)) {
+            warnings.push(`HTTP ${result.status} (may block automated checks)`);
+        } else if (result.status < 200 || result.status >= 300) {
+            problems.push(`HTTP ${result.status}`);
+        }
+    } catch (error) {
+        problems.push(`Request failed: ${error.cause ? error.cause.message || error.cause.code : error.message}`);
+    }
+
+    const imagePath = path.resolve(options.siteRoot, link.image || '');
+    const assetsDir = path.join(options.siteRoot, 'assets') + path.sep;
+    if (!link.image || !imagePath.startsWith(assetsDir) || !fs.existsSync(imagePath)) {
+        problems.push(`Image not found under assets/: ${link.image}`);
+    }
+
+    if (link.contractAddress && !link.url.toLowerCase().includes(link.contractAddress.toLowerCase())) {
+        problems.push(`URL does not contain contract address ${link.contractAddress}`);
+    }
+
+    if (problems.length > 0) {
+        entry.status = 'broken';
+    } else if (warnings.length > 0) {
+        entry.status = 'warning';
+    }
+    entry.problems = [...problems, ...warnings];
+    return entry;
+}
+
+/**
+ * Checks every link, a few at a time
+ * @param {Array} links - links.json entries
+ * @param {Object} options - { concurrency, timeoutMs, siteRoot }
+ * @returns {Promise<Array<Object>>} Report entries in links.json order
+ */
+async function checkLinks(links, options) {
+    const results = new Array(links.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < links.length) {
+            const index = next++;
+            results[index] = await checkLink(links[index], options);
+
+            const result = results[index];
+            const icon = { ok: '✓', warning: '⚠️ ', broken: '✗' }[result.status];
+            const detail = result.problems.length > 0 ? ` - ${result.problems.join('; ')}` : '';
+            console.log(`${icon} ${result.name}: ${result.httpStatus || 'no response'}${detail}`);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, links.length) }, worker));
+    return results;
+}
+
+/**
+ * Parses command line flags
+ *
+ *   --input=<path>        links.json to check (default woo-quick-links/data/links.json)
+ *   --output=<path>       Report to write (default woo-quick-links/data/link-health.json)
+ *   --concurrency=<n>     Links checked at once (default 4)
+ *   --timeout-ms=<n>      Timeout per request (default 15000)
+ *   --strict              Exit non-zero when any link is broken
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseOptions(argv) {
+    const flags = parseFlags(argv, FLAGS);
+
+    const readPositiveInteger = (flag, defaultValue) => {
+        if (flags[flag] === undefined) {
+            return defaultValue;
+        }
+        const value = Number(flags[flag]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid value for --${flag}: ${flags[flag]}`);
+        }
+        return value;
+    };
+
+    return {
+        input: flags.input ? path.resolve(flags.input) : LINKS_PATH,
+        output: flags.output ? path.resolve(flags.output) : REPORT_PATH,
+        concurrency: readPositiveInteger('concurrency', DEFAULT_CONCURRENCY),
+        timeoutMs: readPositiveInteger('timeout-ms', DEFAULT_TIMEOUT_MS),
+        strict: flags.strict === true,
+        siteRoot: SITE_ROOT
+    };
+}
+
+/**
+ * Checks links.json and writes the report read by the page
+ * @param {Object} options - Options from parseOptions
+ */
+async function main(options) {
+    const links = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+    console.log(`🔄 Checking ${links.length} links...\n`);
+
+    const results = await checkLinks(links, options);
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        summary: {
+            total: results.length,
+            ok: count('ok'),
+            warning: count('warning'),
+            broken: count('broken')
+        },
+        links: results
+    };
+
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 4) + '\n');
+
+    console.log(`\n📋 ${report.summary.ok} ok, ${report.summary.warning} warnings, ${report.summary.broken} broken`);
+    console.log(`✅ Report saved to ${path.relative(process.cwd(), options.output)}`);
+
+    if (options.strict && report.summary.broken > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => main(parseOptions(process.argv.slice(2))))
+        .catch(error => {
+            console.error('❌ Fatal error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { checkLink, checkLinks, parseOptions };
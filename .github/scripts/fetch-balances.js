@@ -1,199 +1,312 @@
-const fs = require('fs');
+/**
+ * Balance fetcher CLI: reads WOO supply on every chain in data/chains.json,
+ * updates links.json, holders.json and history.json, and sends alerts for
+ * large movements. The work is done by the modules in lib/; this file only
+ * parses flags, prints results and decides what gets written.
+ *
+ *   node .github/scripts/fetch-balances.js [options]
+ *
+ *   --chain=<id,...>              Only read these chains (ids from chains.json); others keep their values
+ *   --input=<path>                links.json to read; holders.json and history.json are read from its directory
+ *   --output=<path>               links.json to write (default: --input); holders.json and history.json are written next to it
+ *   --format=table|json           Human-readable table (default) or a JSON report on stdout
+ *   --concurrency=<n>             Chains read at once (default 4)
+ *   --rate-limit-ms=<n>           Minimum gap between the start of two chain reads (default 250)
+ *   --verbose                     Log every RPC endpoint tried
+ *   --dry-run                     Print the balance diff without writing any file or sending alerts
+ *   --force                       Write even when validation finds anomalies
+ *   --max-chain-drop-pct=<n>      Max overnight drop per chain (env MAX_CHAIN_DROP_PCT)
+ *   --max-supply-change-pct=<n>   Max overnight circulating supply change (env MAX_SUPPLY_CHANGE_PCT)
+ *   --alert-chain-change-pct=<n>     Chain change that sends an alert (env ALERT_CHAIN_CHANGE_PCT)
+ *   --alert-chain-change-amount=<n>  Minimum WOO moved for a chain alert (env ALERT_CHAIN_CHANGE_AMOUNT)
+ *   --alert-supply-change-pct=<n>    Circulating supply change that sends an alert (env ALERT_SUPPLY_CHANGE_PCT)
+ *
+ * Environment:
+ *   RPC_OVERRIDE_URL   Point every chain at one endpoint, e.g. a local mock JSON-RPC server
+ *   WOO_API_BASE_URL   WOO Network API base URL
+ *   ALERT_*            Alert destinations, see notifiers/
+ */
+
 const path = require('path');
+const { createLogger } = require('./lib/logger');
+const { loadChainRegistry, DEFAULT_WOO_API_BASE_URL } = require('./lib/chain-readers');
+const { collectBalances, validateBalances, detectMovements } = require('./lib/balances');
+const { DEFAULT_LINKS_PATH, getDataPaths, readBalanceFiles, writeBalanceFiles } = require('./lib/balance-files');
+const { parseFlags } = require('./lib/cli-options');
+const { sendAlerts, formatAlertText } = require('./notifiers');
 
-// Check Node version and import ethers accordingly
-let ethers;
-try {
-    ethers = require('ethers');
-} catch (error) {
-    console.error('Note: ethers requires Node 14+. This script will work in GitHub Actions with Node 20.');
-    console.error('Error:', error.message);
-    process.exit(0); // Exit gracefully for local testing with old Node
-}
+// Default anomaly thresholds, overridable by env var or CLI flag (see parseOptions)
+const DEFAULT_MAX_CHAIN_DROP_PCT = 25;
+const DEFAULT_MAX_SUPPLY_CHANGE_PCT = 10;
 
-// ERC-20 ABI for balanceOf function
-const ERC20_ABI = [
-    'function totalSupply() view returns (uint256)',
-    'function balanceOf(address account) view returns (uint256)',
-    'function decimals() view returns (uint8)'
-];
-
-// Chain configurations with public RPC endpoints
-const CHAINS = {
-    'Ethereum': {
-        rpc: 'https://eth.llamarpc.com',
-        decimals: 18
-    },
-    'BSC': {
-        rpc: 'https://bsc-dataseed1.binance.org',
-        decimals: 18
-    },
-    'Arbitrum': {
-        rpc: 'https://arb1.arbitrum.io/rpc',
-        decimals: 18
-    },
-    'Polygon': {
-        rpc: 'https://polygon-rpc.com',
-        decimals: 18
-    },
-    'Avalanche': {
-        rpc: 'https://api.avax.network/ext/bc/C/rpc',
-        decimals: 18
-    },
-    'Optimism': {
-        rpc: 'https://mainnet.optimism.io',
-        decimals: 18
-    },
-    'Base': {
-        rpc: 'https://mainnet.base.org',
-        decimals: 18
-    },
-    'Mantle': {
-        rpc: 'https://rpc.mantle.xyz',
-        decimals: 18
-    }
+// Default alert thresholds (see detectMovements). A chain alerts only when its
+// change crosses both the percentage and the absolute amount, so small chains
+// do not alert on noise.
+const DEFAULT_ALERT_CHAIN_CHANGE_PCT = 5;
+const DEFAULT_ALERT_CHAIN_CHANGE_AMOUNT = 1000000;
+const DEFAULT_ALERT_SUPPLY_CHANGE_PCT = 1;
+
+// Parallel reads, spaced out so public RPC endpoints do not rate-limit us
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RATE_LIMIT_MS = 250;
+
+const OUTPUT_FORMATS = ['table', 'json'];
+
+// Flags listed at the top of this file; anything else is rejected
+const FLAGS = {
+    'chain': 'value',
+    'input': 'value',
+    'output': 'value',
+    'format': 'value',
+    'concurrency': 'value',
+    'rate-limit-ms': 'value',
+    'verbose': 'boolean',
+    'dry-run': 'boolean',
+    'force': 'boolean',
+    'max-chain-drop-pct': 'value',
+    'max-supply-change-pct': 'value',
+    'alert-chain-change-pct': 'value',
+    'alert-chain-change-amount': 'value',
+    'alert-supply-change-pct': 'value'
 };
 
 /**
- * Fetches token total supply for EVM chains
+ * Parses command line flags. Thresholds fall back to env vars, then defaults.
+ * See the top of this file for the list of flags.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object} Parsed options
  */
-async function fetchEVMTotalSupply(chainName, contractAddress) {
-    try {
-        const config = CHAINS[chainName];
-        const provider = new ethers.JsonRpcProvider(config.rpc);
-        const contract = new ethers.Contract(contractAddress, ERC20_ABI, provider);
+function parseOptions(argv, env = process.env) {
+    const flags = parseFlags(argv, FLAGS);
+
+    const readNumber = (flag, envName, defaultValue) => {
+        const raw = flags[flag] !== undefined ? flags[flag] : (envName ? env[envName] : undefined);
+        if (raw === undefined || raw === '') {
+            return defaultValue;
+        }
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid value for --${flag}: ${raw}`);
+        }
+        return value;
+    };
 
-        const totalSupply = await contract.totalSupply();
-        const decimals = await contract.decimals();
+    const concurrency = readNumber('concurrency', null, DEFAULT_CONCURRENCY);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Invalid value for --concurrency: ${flags.concurrency}`);
+    }
 
-        // Convert to human-readable format
-        const balance = Number(ethers.formatUnits(totalSupply, decimals));
+    const format = flags.format === undefined ? 'table' : flags.format;
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Invalid value for --format: ${format} (expected ${OUTPUT_FORMATS.join(' or ')})`);
+    }
 
-        console.log(`✓ ${chainName}: ${balance.toLocaleString()} WOO`);
-        return balance;
-    } catch (error) {
-        console.error(`✗ ${chainName}: ${error.message}`);
-        return 0;
+    const input = flags.input ? path.resolve(flags.input) : DEFAULT_LINKS_PATH;
+    const chainIds = flags.chain
+        ? flags.chain.split(',').map(id => id.trim()).filter(Boolean)
+        : null;
+    if (chainIds && chainIds.length === 0) {
+        throw new Error(`Invalid value for --chain: ${flags.chain}`);
     }
+
+    return {
+        chainIds,
+        input,
+        output: flags.output ? path.resolve(flags.output) : input,
+        format,
+        concurrency,
+        rateLimitMs: readNumber('rate-limit-ms', null, DEFAULT_RATE_LIMIT_MS),
+        verbose: flags.verbose === true,
+        dryRun: flags['dry-run'] === true,
+        force: flags.force === true,
+        maxChainDropPct: readNumber('max-chain-drop-pct', 'MAX_CHAIN_DROP_PCT', DEFAULT_MAX_CHAIN_DROP_PCT),
+        maxSupplyChangePct: readNumber('max-supply-change-pct', 'MAX_SUPPLY_CHANGE_PCT', DEFAULT_MAX_SUPPLY_CHANGE_PCT),
+        alertChainChangePct: readNumber('alert-chain-change-pct', 'ALERT_CHAIN_CHANGE_PCT', DEFAULT_ALERT_CHAIN_CHANGE_PCT),
+        alertChainChangeAmount: readNumber('alert-chain-change-amount', 'ALERT_CHAIN_CHANGE_AMOUNT', DEFAULT_ALERT_CHAIN_CHANGE_AMOUNT),
+        alertSupplyChangePct: readNumber('alert-supply-change-pct', 'ALERT_SUPPLY_CHANGE_PCT', DEFAULT_ALERT_SUPPLY_CHANGE_PCT),
+        rpcOverrideUrl: env.RPC_OVERRIDE_URL,
+        wooApiBaseUrl: env.WOO_API_BASE_URL || DEFAULT_WOO_API_BASE_URL
+    };
 }
 
 /**
- * Fetches token supply for Solana
+ * Checks --chain against the registry
+ * @param {Array<string>|null} chainIds - Selected chain ids, or null for every chain
+ * @param {Array} chains - Chain registry entries
+ * @returns {Array} Registry entries that will be read
  */
-async function fetchSolanaTotalSupply(tokenAddress) {
-    try {
-        const response = await fetch('https://api.mainnet-beta.solana.com', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'getTokenSupply',
-                params: [tokenAddress]
-            })
-        });
+function selectChains(chainIds, chains) {
+    if (!chainIds) {
+        return chains;
+    }
 
-        const data = await response.json();
+    const unknown = chainIds.filter(id => !chains.some(chain => chain.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown chain id(s): ${unknown.join(', ')} ` +
+            `(expected any of ${chains.map(chain => chain.id).join(', ')})`);
+    }
+    return chains.filter(chain => chainIds.includes(chain.id));
+}
 
-        if (data.result && data.result.value) {
-            const balance = Number(data.result.value.uiAmount);
-            console.log(`✓ Solana: ${balance.toLocaleString()} WOO`);
-            return balance;
-        }
+/**
+ * Fails before any request when an EVM chain is selected but ethers is not
+ * installed, instead of reporting every EVM read as failed
+ * @param {Array} chains - Registry entries that will be read
+ */
+function assertEvmSupport(chains) {
+    if (!chains.some(chain => chain.type === 'evm')) {
+        return;
+    }
 
-        throw new Error('Invalid response from Solana RPC');
+    try {
+        require.resolve('ethers');
     } catch (error) {
-        console.error(`✗ Solana: ${error.message}`);
-        return 0;
+        throw new Error('ethers is not installed. Run `npm install` (Node 18+) before reading EVM chains.');
     }
 }
 
 /**
- * Fetches WOO circulating supply from WOO Network API
+ * Prints old vs. new balances per chain
+ * @param {Array} explorerLinks - Explorer links with updated balances
+ * @param {Object} previousBalances - Chain name -> balance before this run
+ * @param {Object} logger - Logger from lib/logger
  */
-async function fetchCirculatingSupply() {
-    try {
-        const response = await fetch('https://sapi.woo.network/token/circulating_supply');
-        const data = await response.json();
+function printBalanceDiff(explorerLinks, previousBalances, logger) {
+    const rows = explorerLinks.map(link => {
+        const previous = previousBalances[link.name];
+        const current = link.tokenBalance;
+        const hasPrevious = typeof previous === 'number';
+        const delta = hasPrevious ? current - previous : null;
+        const deltaPct = hasPrevious && previous !== 0 ? `${(delta / previous * 100).toFixed(2)}%` : '-';
 
-        // API returns a plain number, not an object with circulating_supply field
-        if (typeof data === 'number' && data > 0) {
-            console.log(`\n✓ Circulating Supply: ${data.toLocaleString()} WOO`);
-            return data;
-        }
+        return {
+            chain: link.name,
+            old: hasPrevious ? previous.toLocaleString(undefined, { maximumFractionDigits: 0 }) : '-',
+            new: current.toLocaleString(undefined, { maximumFractionDigits: 0 }),
+            delta: delta === null ? '-' : `${delta >= 0 ? '+' : ''}${delta.toLocaleString(undefined, { maximumFractionDigits: 0 })}`,
+            deltaPct,
+            note: link.balanceStale ? 'stale' : ''
+        };
+    });
 
-        throw new Error(`Invalid response from WOO Network API: ${JSON.stringify(data)}`);
-    } catch (error) {
-        console.error(`✗ Failed to fetch circulating supply: ${error.message}`);
-        return 0;
-    }
+    logger.log('\n📋 Balance changes:');
+    console.table(rows);
 }
 
 /**
- * Main function to update all chain balances
+ * Builds the machine-readable report printed by --format=json
+ * @param {Object} result - Result of collectBalances
+ * @param {Array<string>} anomalies - From validateBalances
+ * @param {Array<Object>} alerts - From detectMovements
+ * @param {boolean} written - Whether the data files were updated
+ * @returns {Object} Report
  */
-async function updateBalances() {
-    console.log('🔄 Fetching WOO token balances from all chains...\n');
+function buildJsonReport(result, anomalies, alerts, written) {
+    return {
+        written,
+        circulatingSupply: result.circulatingSupply,
+        previousCirculatingSupply: result.previousCirculatingSupply,
+        totalBridged: result.totalBridged,
+        canonicalTotalSupply: result.canonicalTotalSupply,
+        onChainSupply: result.onChainSupply,
+        chains: result.explorerLinks.map(link => ({
+            chain: link.chain,
+            name: link.name,
+            previousBalance: result.previousBalances[link.name] ?? null,
+            balance: link.tokenBalance ?? null,
+            balanceUpdatedAt: link.balanceUpdatedAt || null,
+            stale: link.balanceStale === true
+        })),
+        holderTotals: result.holdersData.totals,
+        anomalies,
+        alerts
+    };
+}
 
-    // Load links.json
-    const linksPath = path.join(__dirname, '../../woo-quick-links/data/links.json');
-    const links = JSON.parse(fs.readFileSync(linksPath, 'utf8'));
+/**
+ * Reads balances, validates them and writes the data files
+ * @param {Object} options - Options from parseOptions
+ * @returns {Promise<Object>} JSON report (see buildJsonReport)
+ */
+async function run(options) {
+    // Keep stdout clean for the JSON report
+    const logger = createLogger({
+        verbose: options.verbose,
+        stream: options.format === 'json' ? process.stderr : process.stdout
+    });
 
-    // Get all explorer links
-    const explorerLinks = links.filter(link => link.category === 'Explorers' && link.contractAddress);
+    const chains = loadChainRegistry();
+    assertEvmSupport(selectChains(options.chainIds, chains));
 
-    // First, fetch circulating supply from WOO Network API
-    const circulatingSupply = await fetchCirculatingSupply();
+    const chainNote = options.chainIds ? ` (${options.chainIds.join(', ')})` : ' from all chains';
+    logger.log(`🔄 Fetching WOO token balances${chainNote}...${options.dryRun ? ' (dry run)' : ''}\n`);
 
-    // Fetch balances for all non-Ethereum chains
-    const bridgedBalances = [];
+    const data = readBalanceFiles(getDataPaths(options.input));
+    const result = await collectBalances({ ...data, chains }, { ...options, logger });
 
-    for (let link of explorerLinks) {
-        if (link.name === 'Ethereum') {
-            continue; // Skip Ethereum, we'll calculate it at the end
-        }
+    if (options.format === 'table') {
+        printBalanceDiff(result.explorerLinks, result.previousBalances, logger);
+    }
 
-        if (link.name === 'Solana') {
-            link.tokenBalance = await fetchSolanaTotalSupply(link.contractAddress);
-        } else {
-            link.tokenBalance = await fetchEVMTotalSupply(link.name, link.contractAddress);
-        }
+    const anomalies = validateBalances(result, options);
+    if (anomalies.length > 0) {
+        logger.error('\n🚨 Validation found anomalies:');
+        anomalies.forEach(anomaly => logger.error(`  - ${anomaly}`));
+    }
 
-        bridgedBalances.push(link.tokenBalance);
+    const alerts = detectMovements(result, options);
+    if (alerts.length > 0) {
+        logger.log('\n🔔 Movements above alert thresholds:');
+        alerts.forEach(alert => logger.log(`  - ${formatAlertText(alert)}`));
+    }
 
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
+    if (options.dryRun) {
+        logger.log('\n🧪 Dry run: links.json, holders.json and history.json were not modified');
+        if (alerts.length > 0) {
+            logger.log('🧪 Dry run: alerts were not sent');
+        }
+        if (anomalies.length > 0) {
+            process.exitCode = 1;
+        }
+        return buildJsonReport(result, anomalies, alerts, false);
     }
 
-    // Calculate Ethereum unbridged amount
-    const ethereumLink = explorerLinks.find(link => link.name === 'Ethereum');
-    if (ethereumLink && circulatingSupply > 0) {
-        const totalBridged = bridgedBalances.reduce((sum, balance) => sum + balance, 0);
-        ethereumLink.tokenBalance = circulatingSupply - totalBridged;
-
-        console.log(`\n📊 Circulating Supply: ${circulatingSupply.toLocaleString()} WOO`);
-        console.log(`📊 Total Bridged: ${totalBridged.toLocaleString()} WOO`);
-        console.log(`📊 Ethereum Unbridged: ${ethereumLink.tokenBalance.toLocaleString()} WOO`);
-    } else if (ethereumLink) {
-        // Fallback: fetch Ethereum balance directly if API fails
-        ethereumLink.tokenBalance = await fetchEVMTotalSupply('Ethereum', ethereumLink.contractAddress);
+    if (anomalies.length > 0 && !options.force) {
+        logger.error('\n❌ Refusing to write links.json. Re-run with --force to accept these values.');
+        process.exitCode = 1;
+        return buildJsonReport(result, anomalies, alerts, false);
     }
 
-    // Sort explorer links by token balance (highest to lowest)
-    const sortedExplorers = explorerLinks.sort((a, b) => b.tokenBalance - a.tokenBalance);
+    writeBalanceFiles(getDataPaths(options.output), result, data.history);
+    logger.log('\n✅ Balance update complete! Data saved to links.json, holders.json and history.json');
 
-    // Update links array with sorted explorers
-    const nonExplorerLinks = links.filter(link => link.category !== 'Explorers');
-    const updatedLinks = [...nonExplorerLinks, ...sortedExplorers];
+    // Alerts go out only for values that were accepted and written. A failed
+    // sink is reported but does not block committing the new data.
+    if (alerts.length > 0) {
+        logger.log('\n🔔 Sending alerts...');
+        const failed = await sendAlerts(alerts, process.env, logger);
+        if (failed.length > 0) {
+            logger.warn(`⚠️  Alert delivery failed for: ${failed.join(', ')}`);
+        }
+    }
 
-    // Write updated data back to file
-    fs.writeFileSync(linksPath, JSON.stringify(updatedLinks, null, 4) + '\n');
+    return buildJsonReport(result, anomalies, alerts, true);
+}
 
-    console.log('\n✅ Balance update complete! Data saved to links.json');
+if (require.main === module) {
+    Promise.resolve()
+        .then(async () => {
+            const options = parseOptions(process.argv.slice(2));
+            const report = await run(options);
+            if (options.format === 'json') {
+                process.stdout.write(JSON.stringify(report, null, 4) + '\n');
+            }
+        })
+        .catch(error => {
+            console.error('❌ Fatal error:', error);
+            process.exit(1);
+        });
 }
 
-// Run the update
-updateBalances().catch(error => {
-    console.error('❌ Fatal error:', error);
-    process.exit(1);
-});
+module.exports = { parseOptions, run };
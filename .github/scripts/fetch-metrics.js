@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { withRetry, fetchJSON } = require('./lib/http');
+
+// API endpoints, overridable for testing against local stubs
+const WOO_API_BASE_URL = process.env.WOO_API_BASE_URL || 'https://sapi.woo.network';
+const COINGECKO_API_BASE_URL = process.env.COINGECKO_API_BASE_URL || 'https://api.coingecko.com/api/v3';
+
+// Currencies offered by the page's currency selector (see js/preferences.js)
+const CURRENCIES = ['usd', 'eur', 'cny', 'btc', 'eth'];
+
+const METRICS_PATH = path.join(__dirname, '../../woo-quick-links/data/metrics.json');
+
+/**
+ * Fetches WOO total supply from WOO Network API
+ */
+async function fetchTotalSupply() {
+    const data = await fetchJSON(`${WOO_API_BASE_URL}/token/total_supply`);
+    const totalSupply = parseFloat(data.total_supply || data);
+    if (!(totalSupply > 0)) {
+        throw new Error(`Invalid total supply: ${JSON.stringify(data)}`);
+    }
+    return totalSupply;
+}
+
+/**
+ * Fetches WOO circulating supply from WOO Network API
+ */
+async function fetchCirculatingSupply() {
+    const data = await fetchJSON(`${WOO_API_BASE_URL}/token/circulating_supply`);
+    if (typeof data !== 'number' || data <= 0) {
+        throw new Error(`Invalid circulating supply: ${JSON.stringify(data)}`);
+    }
+    return data;
+}
+
+/**
+ * Fetches WOO price, market cap and 24h change from CoinGecko
+ */
+async function fetchPriceData() {
+    const data = await fetchJSON(
+        `${COINGECKO_API_BASE_URL}/simple/price?ids=woo-network&vs_currencies=${CURRENCIES.join(',')}&include_market_cap=true&include_24hr_change=true`
+    );
+    const priceData = data['woo-network'];
+    if (!priceData || typeof priceData.usd !== 'number') {
+        throw new Error(`Invalid price data: ${JSON.stringify(data)}`);
+    }
+    return priceData;
+}
+
+/**
+ * Fetches all metrics and writes the snapshot read by js/api.js
+ */
+async function updateMetrics() {
+    console.log('🔄 Fetching WOO market and supply metrics...\n');
+
+    const [totalSupply, circulatingSupply, priceData] = await Promise.all([
+        withRetry(fetchTotalSupply),
+        withRetry(fetchCirculatingSupply),
+        withRetry(fetchPriceData)
+    ]);
+
+    const metrics = {
+        price: priceData.usd,
+        marketCap: priceData.usd_market_cap,
+        priceChange24h: priceData.usd_24h_change,
+        totalSupply,
+        circulatingSupply,
+        currencies: Object.fromEntries(CURRENCIES
+            .filter(currency => typeof priceData[currency] === 'number')
+            .map(currency => [currency, {
+                price: priceData[currency],
+                marketCap: priceData[`${currency}_market_cap`],
+                priceChange24h: priceData[`${currency}_24h_change`]
+            }])),
+        fetchedAt: new Date().toISOString()
+    };
+
+    console.log(`✓ Price: $${metrics.price}`);
+    console.log(`✓ Market Cap: $${metrics.marketCap.toLocaleString()}`);
+    console.log(`✓ Total Supply: ${totalSupply.toLocaleString()} WOO`);
+    console.log(`✓ Circulating Supply: ${circulatingSupply.toLocaleString()} WOO`);
+
+    fs.writeFileSync(METRICS_PATH, JSON.stringify(metrics, null, 4) + '\n');
+
+    console.log('\n✅ Metrics snapshot saved to metrics.json');
+}
+
+// Run the update. On failure the previous snapshot is left untouched, so
+// the page falls back to live APIs once it goes stale.
+updateMetrics().catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,98 @@
+/**
+ * Reading and writing the data files updated by the balance fetcher:
+ * links.json, holders.json and history.json, plus the categories.json they
+ * are grouped by
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Number of daily snapshots kept in history.json
+const HISTORY_MAX_ENTRIES = 365;
+
+const DEFAULT_LINKS_PATH = path.join(__dirname, '../../../woo-quick-links/data/links.json');
+
+/**
+ * Returns the data file paths for a links.json location. holders.json,
+ * history.json and categories.json are expected in the same directory.
+ * @param {string} linksPath - Path to links.json
+ * @returns {Object} { links, holders, history, categories }
+ */
+function getDataPaths(linksPath = DEFAULT_LINKS_PATH) {
+    const dir = path.dirname(linksPath);
+    return {
+        links: linksPath,
+        holders: path.join(dir, 'holders.json'),
+        history: path.join(dir, 'history.json'),
+        categories: path.join(dir, 'categories.json')
+    };
+}
+
+/**
+ * Reads links.json, holders.json, history.json and categories.json
+ * @param {Object} paths - Paths from getDataPaths
+ * @returns {Object} { links, categories, holdersData, history }
+ */
+function readBalanceFiles(paths) {
+    return {
+        links: JSON.parse(fs.readFileSync(paths.links, 'utf8')),
+        categories: JSON.parse(fs.readFileSync(paths.categories, 'utf8')),
+        holdersData: JSON.parse(fs.readFileSync(paths.holders, 'utf8')),
+        history: readHistory(paths.history)
+    };
+}
+
+/**
+ * Reads history.json, returning an empty history if it does not exist yet
+ * @param {string} historyPath - Path to history.json
+ * @returns {Array} Snapshots, oldest first
+ */
+function readHistory(historyPath) {
+    if (!fs.existsSync(historyPath)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+}
+
+/**
+ * Adds a dated balance snapshot to the history.
+ * A snapshot for the same UTC day replaces the earlier one.
+ * @param {Array} history - Existing snapshots from readHistory
+ * @param {Object} snapshot - Snapshot with date, balances and supply figures
+ * @returns {Array} New history, oldest first, capped at HISTORY_MAX_ENTRIES
+ */
+function addHistorySnapshot(history, snapshot) {
+    return [...history.filter(entry => entry.date !== snapshot.date), snapshot]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(-HISTORY_MAX_ENTRIES);
+}
+
+/**
+ * Writes a JSON file in the repo's format (4-space indent, trailing newline)
+ * @param {string} filePath - Path to write
+ * @param {*} data - Data to serialize
+ */
+function writeJSON(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 4) + '\n');
+}
+
+/**
+ * Writes the updated links and holders and appends the day's snapshot to the history
+ * @param {Object} paths - Output paths from getDataPaths
+ * @param {Object} result - Result of collectBalances
+ * @param {Array} history - History read before the update
+ */
+function writeBalanceFiles(paths, result, history) {
+    writeJSON(paths.links, result.links);
+    writeJSON(paths.holders, result.holdersData);
+    writeJSON(paths.history, addHistorySnapshot(history, result.snapshot));
+}
+
+module.exports = {
+    DEFAULT_LINKS_PATH,
+    getDataPaths,
+    readBalanceFiles,
+    addHistorySnapshot,
+    writeBalanceFiles
+};
@@ -0,0 +1,407 @@
+/**
+ * Balance aggregation: keeps the explorer entries of links.json in step with
+ * the chain registry, stores fresh reads, derives the canonical chain's share
+ * and checks the result for anomalies and alert-worthy movements
+ */
+
+const { createRateLimiter } = require('./rate-limit');
+const { fetchChainTotalSupply, fetchHolderBalance, fetchCirculatingSupply } = require('./chain-readers');
+
+// Holder kinds tracked in holders.json
+const HOLDER_KINDS = ['treasury', 'vesting', 'bridge', 'burn'];
+
+/**
+ * Returns the id of the category rendered as the distribution table, the
+ * one whose entries are built from the chain registry
+ * @param {Array} categories - Parsed categories.json
+ * @returns {string} Category id
+ */
+function getDistributionCategoryId(categories) {
+    const distribution = categories.filter(category => category.render === 'distribution-table');
+    if (distribution.length !== 1) {
+        throw new Error(`Expected exactly one distribution-table category in categories.json, found ${distribution.length}`);
+    }
+    return distribution[0].id;
+}
+
+/**
+ * Builds the distribution entries of links.json from the chain registry,
+ * carrying over balances already stored for each chain
+ * @param {Array} links - Current links.json entries
+ * @param {Array} chains - Chain registry entries
+ * @param {string} categoryId - Id of the distribution-table category
+ * @returns {Array} Explorer link objects in registry order
+ */
+function syncExplorerLinks(links, chains, categoryId) {
+    const existing = links.filter(link => link.category === categoryId);
+
+    return chains.map(chain => {
+        const link = existing.find(entry => entry.chain === chain.id) || {};
+        return {
+            ...link,
+            name: chain.name,
+            url: chain.explorerUrl.replace('{address}', chain.contractAddress),
+            image: chain.icon,
+            category: categoryId,
+            chain: chain.id,
+            contractAddress: chain.contractAddress
+        };
+    });
+}
+
+/**
+ * Reads a chain's supply and stores it on the link. When every endpoint
+ * fails, the last known good value is kept and flagged as stale instead of
+ * being overwritten with 0.
+ * @param {Object} link - Explorer link object (mutated)
+ * @param {Function} readFn - Async function returning the fresh balance
+ * @param {string} today - Current UTC date (YYYY-MM-DD)
+ * @param {Date} now - Time of this update run
+ * @param {Object} logger - console or a logger from ./logger
+ */
+async function updateLinkBalance(link, readFn, today, now, logger) {
+    try {
+        const balance = await readFn();
+        setLinkBalance(link, balance, today, now);
+    } catch (error) {
+        logger.error(`✗ ${link.name}: ${error.message}`);
+        link.balanceStale = true;
+        logger.error(`  Keeping last known value: ${(link.tokenBalance || 0).toLocaleString()} WOO`);
+    }
+}
+
+/**
+ * Stores a freshly read balance on the link and clears any stale flag
+ * @param {Object} link - Explorer link object (mutated)
+ * @param {number} balance - Fresh token balance
+ * @param {string} today - Current UTC date (YYYY-MM-DD)
+ * @param {Date} now - Time of this update run
+ */
+function setLinkBalance(link, balance, today, now) {
+    rotatePreviousBalance(link, today);
+    link.tokenBalance = balance;
+    link.balanceUpdatedAt = now.toISOString();
+    delete link.balanceStale;
+}
+
+/**
+ * Moves the current balance into previousTokenBalance when it was recorded
+ * on an earlier day. Same-day re-runs keep the existing previous value so the
+ * delta still spans the last daily update.
+ * @param {Object} link - Explorer link object (mutated)
+ * @param {string} today - Current UTC date (YYYY-MM-DD)
+ */
+function rotatePreviousBalance(link, today) {
+    if (typeof link.tokenBalance !== 'number') {
+        return;
+    }
+
+    const lastUpdatedDay = link.balanceUpdatedAt ? link.balanceUpdatedAt.slice(0, 10) : null;
+    if (lastUpdatedDay === today) {
+        return;
+    }
+
+    link.previousTokenBalance = link.tokenBalance;
+    link.previousBalanceAt = link.balanceUpdatedAt || null;
+}
+
+/**
+ * Reads the canonical chain's on-chain totalSupply(), which the page
+ * reconciles against the API's total supply
+ * @param {Object} chain - Canonical chain registry entry
+ * @param {Object} options - Reader options
+ * @returns {Promise<number|null>} Token supply, or null when every endpoint failed
+ */
+async function readCanonicalTotalSupply(chain, options) {
+    try {
+        return await fetchChainTotalSupply(chain, options);
+    } catch (error) {
+        options.logger.error(`✗ ${chain.name} totalSupply(): ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Reads the token balance held by each labelled address in holders.json.
+ * Failed reads keep the last known balance and are flagged as stale.
+ * @param {Object} holdersData - Parsed holders.json (mutated)
+ * @param {Array} chains - Chain registry entries
+ * @param {Date} now - Time of this update run
+ * @param {Object} options - Reader options plus chainIds (null for every chain)
+ * @param {Function} schedule - Rate limiter from ./rate-limit
+ */
+async function updateHolderBalances(holdersData, chains, now, options, schedule) {
+    options.logger.log('\n🏦 Fetching labelled holder balances...');
+
+    // Kinds without an address are not read at all, and the page falls back to
+    // estimates for them (LOCKED_SUPPLY, lock-and-mint reconciliation)
+    const missingKinds = HOLDER_KINDS.filter(kind =>
+        !holdersData.holders.some(holder => holder.kind === kind)
+    );
+    if (missingKinds.length > 0) {
+        options.logger.warn(`⚠️  No ${missingKinds.join(', ')} holders in holders.json; the page estimates them instead`);
+    }
+
+    let readCount = 0;
+    const reads = holdersData.holders.map(holder => {
+        if (!HOLDER_KINDS.includes(holder.kind)) {
+            throw new Error(`Unknown holder kind "${holder.kind}" for ${holder.label}`);
+        }
+
+        const chain = chains.find(entry => entry.id === holder.chain);
+        if (!chain) {
+            throw new Error(`Unknown chain "${holder.chain}" for holder ${holder.label}`);
+        }
+
+        if (options.chainIds && !options.chainIds.includes(chain.id)) {
+            return null;
+        }
+
+        return schedule(async () => {
+            try {
+                holder.balance = await fetchHolderBalance(chain, holder.address, options);
+                holder.balanceUpdatedAt = now.toISOString();
+                delete holder.balanceStale;
+                readCount++;
+                options.logger.log(`✓ ${holder.label} (${chain.name}): ${holder.balance.toLocaleString()} WOO`);
+            } catch (error) {
+                options.logger.error(`✗ ${holder.label}: ${error.message}`);
+                holder.balanceStale = true;
+            }
+        });
+    });
+    await Promise.all(reads);
+
+    // Totals per kind let the page derive locked and burned supply
+    holdersData.totals = Object.fromEntries(HOLDER_KINDS.map(kind => [
+        kind,
+        holdersData.holders
+            .filter(holder => holder.kind === kind && typeof holder.balance === 'number')
+            .reduce((sum, holder) => sum + holder.balance, 0)
+    ]));
+
+    // updatedAt is published in supply.json, so it only moves when a balance was refreshed
+    if (readCount > 0) {
+        holdersData.updatedAt = now.toISOString();
+    }
+}
+
+/**
+ * Reads fresh balances for the selected chains and builds the updated
+ * distribution. Nothing is written; see ./balance-files for that.
+ * @param {Object} data - { links, categories, chains, holdersData, history } as parsed from the data files
+ * @param {Object} options - Reader options plus:
+ *   chainIds     - Chain ids to read, or null for every chain
+ *   concurrency  - Chains read at once
+ *   rateLimitMs  - Minimum gap between the start of two chain reads
+ *   now          - Time of this update run (defaults to the current time)
+ * @returns {Promise<Object>} { links, explorerLinks, holdersData, circulatingSupply,
+ *   previousCirculatingSupply, totalBridged, canonicalTotalSupply, onChainSupply,
+ *   previousBalances, canonicalLink, snapshot }
+ */
+async function collectBalances(data, options) {
+    const { links, categories, chains, holdersData, history } = data;
+    const logger = options.logger;
+    const isSelected = (chainId) => !options.chainIds || options.chainIds.includes(chainId);
+
+    // Build explorer links from the chain registry
+    const distributionCategoryId = getDistributionCategoryId(categories);
+    const explorerLinks = syncExplorerLinks(links, chains, distributionCategoryId);
+    const chainFor = (link) => chains.find(chain => chain.id === link.chain);
+
+    const canonicalChains = chains.filter(chain => chain.role === 'canonical');
+    if (canonicalChains.length !== 1) {
+        throw new Error(`Expected exactly one canonical chain in chains.json, found ${canonicalChains.length}`);
+    }
+    const canonicalChain = canonicalChains[0];
+    const canonicalLink = explorerLinks.find(link => link.chain === canonicalChain.id);
+
+    // Remember the values before this run for validation and the diff
+    const previousBalances = Object.fromEntries(explorerLinks.map(link => [link.name, link.tokenBalance]));
+    const previousSnapshot = history[history.length - 1];
+    const previousCirculatingSupply = previousSnapshot ? previousSnapshot.circulatingSupply : 0;
+
+    const now = options.now || new Date();
+    const today = now.toISOString().slice(0, 10);
+    const schedule = createRateLimiter({ concurrency: options.concurrency, intervalMs: options.rateLimitMs });
+
+    // Circulating supply, the canonical totalSupply() and the bridged chains are
+    // read in parallel. An unselected canonical chain keeps the last recorded totalSupply().
+    const bridgedLinks = explorerLinks.filter(link => link !== canonicalLink && isSelected(link.chain));
+    const [circulatingSupply, canonicalTotalSupply] = await Promise.all([
+        fetchCirculatingSupply(options),
+        isSelected(canonicalChain.id)
+            ? schedule(() => readCanonicalTotalSupply(canonicalChain, options))
+            : (previousSnapshot ? previousSnapshot.canonicalTotalSupply ?? null : null),
+        ...bridgedLinks.map(link => schedule(() =>
+            updateLinkBalance(link, () => fetchChainTotalSupply(chainFor(link), options), today, now, logger)
+        ))
+    ]);
+
+    // The canonical chain holds whatever is circulating and not bridged. Its
+    // balance is derived rather than read, so it is recomputed on every run,
+    // including --chain runs that leave the canonical chain out; otherwise the
+    // snapshot would pair fresh bridged balances with a stale canonical one.
+    const totalBridged = explorerLinks
+        .filter(link => link !== canonicalLink)
+        .reduce((sum, link) => sum + (link.tokenBalance || 0), 0);
+
+    if (circulatingSupply > 0) {
+        setLinkBalance(canonicalLink, circulatingSupply - totalBridged, today, now);
+
+        logger.log(`\n📊 Circulating Supply: ${circulatingSupply.toLocaleString()} WOO`);
+        logger.log(`📊 Total Bridged: ${totalBridged.toLocaleString()} WOO`);
+        logger.log(`📊 ${canonicalChain.name} Unbridged: ${canonicalLink.tokenBalance.toLocaleString()} WOO`);
+    } else if (isSelected(canonicalChain.id)) {
+        // Fallback: use the canonical on-chain supply if API fails
+        await updateLinkBalance(canonicalLink, async () => {
+            if (canonicalTotalSupply === null) {
+                throw new Error('totalSupply() could not be read');
+            }
+            return canonicalTotalSupply;
+        }, today, now, logger);
+    }
+
+    // Bridged tokens are counted on their own chain and, when locked in a bridge
+    // escrow, again in the canonical totalSupply(); the page reconciles the two
+    const onChainSupply = canonicalTotalSupply !== null ? canonicalTotalSupply + totalBridged : null;
+    if (onChainSupply !== null) {
+        logger.log(`📊 ${canonicalChain.name} totalSupply(): ${canonicalTotalSupply.toLocaleString()} WOO`);
+        logger.log(`📊 On-chain Sum: ${onChainSupply.toLocaleString()} WOO`);
+    }
+
+    await updateHolderBalances(holdersData, chains, now, options, schedule);
+
+    const staleLinks = explorerLinks.filter(link => link.balanceStale);
+    if (staleLinks.length > 0) {
+        logger.warn(`\n⚠️  Stale balances kept for: ${staleLinks.map(link => link.name).join(', ')}`);
+    }
+
+    // Sort explorer links by token balance (highest to lowest)
+    const sortedExplorers = explorerLinks.sort((a, b) => b.tokenBalance - a.tokenBalance);
+    const nonExplorerLinks = links.filter(link => link.category !== distributionCategoryId);
+
+    return {
+        links: [...nonExplorerLinks, ...sortedExplorers],
+        explorerLinks: sortedExplorers,
+        holdersData,
+        circulatingSupply,
+        previousCirculatingSupply,
+        totalBridged,
+        canonicalTotalSupply,
+        onChainSupply,
+        previousBalances,
+        canonicalLink,
+        // Today's distribution, recorded so the page can chart per-chain trends
+        snapshot: {
+            date: today,
+            timestamp: now.toISOString(),
+            circulatingSupply,
+            totalBridged,
+            canonicalTotalSupply,
+            onChainSupply,
+            // Keyed by registry chain id so renaming a chain keeps its trend line
+            balances: Object.fromEntries(sortedExplorers.map(link => [link.chain, link.tokenBalance]))
+        }
+    };
+}
+
+/**
+ * Checks the freshly fetched figures for anomalies that indicate a bad read
+ * rather than a real change in distribution
+ * @param {Object} result - { circulatingSupply, previousCirculatingSupply, explorerLinks, previousBalances }
+ * @param {Object} options - Thresholds from parseOptions
+ * @returns {Array<string>} Human-readable anomaly descriptions (empty when valid)
+ */
+function validateBalances(result, options) {
+    const anomalies = [];
+    const { circulatingSupply, previousCirculatingSupply, explorerLinks, previousBalances } = result;
+
+    if (!(circulatingSupply > 0)) {
+        anomalies.push('Circulating supply could not be fetched from the WOO Network API');
+    } else if (previousCirculatingSupply > 0) {
+        const changePct = Math.abs(circulatingSupply - previousCirculatingSupply) / previousCirculatingSupply * 100;
+        if (changePct > options.maxSupplyChangePct) {
+            anomalies.push(`Circulating supply changed ${changePct.toFixed(1)}% ` +
+                `(limit ${options.maxSupplyChangePct}%)`);
+        }
+    }
+
+    for (const link of explorerLinks) {
+        if (link.tokenBalance < 0) {
+            anomalies.push(`${link.name} balance is negative (${link.tokenBalance.toLocaleString()} WOO)`);
+            continue;
+        }
+
+        const previous = previousBalances[link.name];
+        if (previous > 0) {
+            const dropPct = (previous - link.tokenBalance) / previous * 100;
+            if (dropPct > options.maxChainDropPct) {
+                anomalies.push(`${link.name} dropped ${dropPct.toFixed(1)}% ` +
+                    `(limit ${options.maxChainDropPct}%)`);
+            }
+        }
+    }
+
+    return anomalies;
+}
+
+/**
+ * Finds per-chain and circulating supply changes large enough to notify about.
+ * Unlike validateBalances these are believed to be real movements, e.g. a
+ * large bridge transfer, and do not block the update.
+ * @param {Object} result - { circulatingSupply, previousCirculatingSupply, explorerLinks, previousBalances, canonicalLink }
+ * @param {Object} options - Thresholds from parseOptions
+ * @returns {Array<Object>} Alerts { kind, chain, name, previous, current, delta, deltaPct, explorerUrl }
+ */
+function detectMovements(result, options) {
+    const alerts = [];
+    const { circulatingSupply, previousCirculatingSupply, explorerLinks, previousBalances, canonicalLink } = result;
+
+    const toAlert = (kind, chain, name, previous, current, explorerUrl) => {
+        const delta = current - previous;
+        return {
+            kind,
+            chain,
+            name,
+            previous,
+            current,
+            delta,
+            deltaPct: previous !== 0 ? delta / previous * 100 : null,
+            explorerUrl
+        };
+    };
+
+    for (const link of explorerLinks) {
+        const previous = previousBalances[link.name];
+        // Stale links kept their old value, so there is nothing new to compare
+        if (typeof previous !== 'number' || link.balanceStale) {
+            continue;
+        }
+
+        const alert = toAlert('chain', link.chain, link.name, previous, link.tokenBalance, link.url);
+        const pctCrossed = alert.deltaPct === null || Math.abs(alert.deltaPct) >= options.alertChainChangePct;
+        if (pctCrossed && Math.abs(alert.delta) >= options.alertChainChangeAmount) {
+            alerts.push(alert);
+        }
+    }
+
+    if (circulatingSupply > 0 && previousCirculatingSupply > 0) {
+        const alert = toAlert('supply', null, 'Circulating supply',
+            previousCirculatingSupply, circulatingSupply, canonicalLink ? canonicalLink.url : null);
+        if (Math.abs(alert.deltaPct) >= options.alertSupplyChangePct) {
+            alerts.push(alert);
+        }
+    }
+
+    return alerts;
+}
+
+module.exports = {
+    HOLDER_KINDS,
+    getDistributionCategoryId,
+    syncExplorerLinks,
+    collectBalances,
+    validateBalances,
+    detectMovements
+};
@@ -0,0 +1,156 @@
+/**
+ * Chain readers: token supply and holder balances through the adapters for
+ * each chain type, with RPC endpoint fallback and retries, plus the WOO
+ * Network circulating supply.
+ *
+ * Functions take reader options:
+ *   rpcOverrideUrl - Send every chain's reads to this endpoint, e.g. a local mock
+ *   wooApiBaseUrl  - WOO Network API base URL
+ *   logger         - console or a logger from ./logger
+ *   timeoutMs      - Timeout per request (default REQUEST_TIMEOUT_MS)
+ *   retryDelayMs   - Delay before the first retry, doubling after each (default 1s)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAdapter } = require('../adapters');
+const { RETRY_BASE_DELAY_MS, REQUEST_TIMEOUT_MS, withRetry, fetchJSON } = require('./http');
+
+// Chain registry shared with the frontend (RPCs, contract, explorer, role, type)
+const DEFAULT_CHAINS_PATH = path.join(__dirname, '../../../woo-quick-links/data/chains.json');
+
+const DEFAULT_WOO_API_BASE_URL = 'https://sapi.woo.network';
+
+/**
+ * Loads the chain registry
+ * @param {string} chainsPath - Path to chains.json
+ * @returns {Array<Object>} Chain entries from chains.json
+ */
+function loadChainRegistry(chainsPath = DEFAULT_CHAINS_PATH) {
+    return JSON.parse(fs.readFileSync(chainsPath, 'utf8'));
+}
+
+/**
+ * Returns the ordered RPC endpoints for a chain, honouring rpcOverrideUrl
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} options - Reader options
+ * @returns {Array<string>} RPC endpoints
+ */
+function getRpcEndpoints(chain, options) {
+    if (options.rpcOverrideUrl) {
+        return [options.rpcOverrideUrl];
+    }
+    return chain.rpcs;
+}
+
+/**
+ * Returns the retry settings for withRetry from reader options
+ * @param {Object} options - Reader options
+ * @returns {Object} { baseDelayMs }
+ */
+function getRetryOptions(options) {
+    return { baseDelayMs: options.retryDelayMs ?? RETRY_BASE_DELAY_MS };
+}
+
+/**
+ * Returns the adapter options for one read from reader options
+ * @param {Object} options - Reader options
+ * @returns {Object} { timeoutMs }
+ */
+function getAdapterOptions(options) {
+    return { timeoutMs: options.timeoutMs ?? REQUEST_TIMEOUT_MS };
+}
+
+/**
+ * Tries each RPC endpoint in order, retrying each before moving to the next.
+ * Throws once every endpoint has failed.
+ * @param {Object} chain - Chain registry entry
+ * @param {Function} readFn - async (rpc) => number
+ * @param {Object} options - Reader options
+ * @returns {Promise<number>} Result of the first successful read
+ */
+async function readFromEndpoints(chain, readFn, options) {
+    const errors = [];
+    for (const rpc of getRpcEndpoints(chain, options)) {
+        try {
+            options.logger.debug(`  ${chain.name}: reading from ${rpc}`);
+            return await withRetry(() => readFn(rpc), getRetryOptions(options));
+        } catch (error) {
+            options.logger.error(`  ${chain.name}: ${rpc} failed (${error.message})`);
+            errors.push(`${rpc}: ${error.message}`);
+        }
+    }
+    throw new Error(`All RPC endpoints failed: ${errors.join('; ')}`);
+}
+
+/**
+ * Reads a chain's token supply using the adapter for its type,
+ * falling back across the chain's RPC endpoints
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} options - Reader options
+ * @returns {Promise<number>} Token supply
+ */
+async function fetchChainTotalSupply(chain, options) {
+    const adapter = getAdapter(chain.type);
+    const balance = await readFromEndpoints(chain, (rpc) =>
+        adapter.fetchTotalSupply(chain, rpc, getAdapterOptions(options)),
+    options);
+
+    options.logger.log(`✓ ${chain.name}: ${balance.toLocaleString()} WOO`);
+    return balance;
+}
+
+/**
+ * Reads one address's token balance on a chain
+ * @param {Object} chain - Chain registry entry
+ * @param {string} address - Holder address
+ * @param {Object} options - Reader options
+ * @returns {Promise<number>} Token balance
+ */
+async function fetchHolderBalance(chain, address, options) {
+    const adapter = getAdapter(chain.type);
+    if (!adapter.fetchBalance) {
+        throw new Error(`Chain type "${chain.type}" does not support holder balances`);
+    }
+
+    return readFromEndpoints(chain, (rpc) =>
+        adapter.fetchBalance(chain, rpc, address, getAdapterOptions(options)),
+    options);
+}
+
+/**
+ * Fetches WOO circulating supply from WOO Network API
+ * @param {Object} options - Reader options
+ * @returns {Promise<number>} Circulating supply, or 0 when the API fails
+ */
+async function fetchCirculatingSupply(options) {
+    const baseUrl = options.wooApiBaseUrl || DEFAULT_WOO_API_BASE_URL;
+
+    try {
+        const data = await withRetry(async () => {
+            const data = await fetchJSON(`${baseUrl}/token/circulating_supply`, getAdapterOptions(options).timeoutMs);
+
+            // API returns a plain number, not an object with circulating_supply field
+            if (typeof data === 'number' && data > 0) {
+                return data;
+            }
+
+            throw new Error(`Invalid response from WOO Network API: ${JSON.stringify(data)}`);
+        }, getRetryOptions(options));
+
+        options.logger.log(`\n✓ Circulating Supply: ${data.toLocaleString()} WOO`);
+        return data;
+    } catch (error) {
+        options.logger.error(`✗ Failed to fetch circulating supply: ${error.message}`);
+        return 0;
+    }
+}
+
+module.exports = {
+    DEFAULT_CHAINS_PATH,
+    DEFAULT_WOO_API_BASE_URL,
+    loadChainRegistry,
+    fetchChainTotalSupply,
+    fetchHolderBalance,
+    fetchCirculatingSupply
+};
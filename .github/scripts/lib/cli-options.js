@@ -0,0 +1,44 @@
+/**
+ * Strict command line flag parsing shared by the scripts' parseOptions:
+ * only --name and --name=<value> forms of the flags a script declares
+ */
+
+/**
+ * Parses arguments against the flags a script accepts
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} spec - Flag name -> 'value' (requires --name=<value>) or
+ * 'boolean' (takes no value)
+ * @returns {Object} Flag name -> string value, or true for boolean flags;
+ * flags that were not given are absent
+ */
+function parseFlags(argv, spec) {
+    const flags = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+
+        const [, name, value] = match;
+        if (!Object.hasOwn(spec, name)) {
+            throw new Error(`Unknown flag: --${name}`);
+        }
+
+        if (spec[name] === 'boolean') {
+            if (value !== undefined) {
+                throw new Error(`--${name} does not take a value`);
+            }
+            flags[name] = true;
+        } else {
+            if (value === undefined || value === '') {
+                throw new Error(`Missing value for --${name} (use --${name}=<value>)`);
+            }
+            flags[name] = value;
+        }
+    }
+    return flags;
+}
+
+module.exports = {
+    parseFlags
+};
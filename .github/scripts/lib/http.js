@@ -0,0 +1,74 @@
+/**
+ * Retry and timeout helpers shared by the workflow scripts
+ */
+
+// Retry and timeout settings for RPC and API calls
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Retries an async function with exponential backoff (1s, 2s, 4s, ...)
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - { attempts, baseDelayMs } where attempts is the total
+ * number of calls and baseDelayMs the delay before the first retry
+ * @returns {Promise<any>} Result of the first successful call
+ */
+async function withRetry(fn, { attempts = RETRY_ATTEMPTS, baseDelayMs = RETRY_BASE_DELAY_MS } = {}) {
+    let lastError;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            lastError = error;
+            if (attempt < attempts - 1) {
+                await new Promise(resolve => setTimeout(resolve, baseDelayMs * 2 ** attempt));
+            }
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Fetches a URL and parses the JSON body, with a timeout
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<any>} Parsed JSON body
+ */
+async function fetchJSON(url, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const response = await fetch(url, {
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+    return response.json();
+}
+
+/**
+ * POSTs a JSON body to a URL, with a timeout
+ * @param {string} url - URL to post to
+ * @param {Object} body - Request body, serialized as JSON
+ * @returns {Promise<string>} Response body text
+ */
+async function postJSON(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const text = await response.text();
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${new URL(url).origin}: ${text.slice(0, 200)}`);
+    }
+    return text;
+}
+
+module.exports = {
+    RETRY_BASE_DELAY_MS,
+    REQUEST_TIMEOUT_MS,
+    withRetry,
+    fetchJSON,
+    postJSON
+};
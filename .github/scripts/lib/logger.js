@@ -0,0 +1,31 @@
+/**
+ * Console-compatible logger for the workflow scripts.
+ * Progress goes to stdout unless the script prints machine-readable output
+ * there, in which case everything is sent to stderr.
+ */
+
+const util = require('util');
+
+/**
+ * Creates a logger with console's log/warn/error plus a verbose-only debug
+ * @param {Object} options - { verbose, stream } where stream receives log and debug output
+ * @returns {Object} { log, debug, warn, error }
+ */
+function createLogger({ verbose = false, stream = process.stdout } = {}) {
+    const write = (target, args) => target.write(util.format(...args) + '\n');
+
+    return {
+        log: (...args) => write(stream, args),
+        debug: (...args) => {
+            if (verbose) {
+                write(stream, args);
+            }
+        },
+        warn: (...args) => write(process.stderr, args),
+        error: (...args) => write(process.stderr, args)
+    };
+}
+
+module.exports = {
+    createLogger
+};
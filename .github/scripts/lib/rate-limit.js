@@ -0,0 +1,55 @@
+/**
+ * Runs async tasks in parallel while capping how many run at once and how
+ * often a new one may start, so public RPC endpoints are not flooded
+ */
+
+/**
+ * Creates a scheduler for rate-limited tasks
+ * @param {Object} options - { concurrency, intervalMs } where intervalMs is the
+ * minimum gap between the start of two tasks
+ * @returns {Function} schedule(fn) => Promise resolving to fn's result
+ */
+function createRateLimiter({ concurrency, intervalMs }) {
+    const queue = [];
+    let active = 0;
+    let lastStart = 0;
+    let timer = null;
+
+    const startNext = () => {
+        if (active >= concurrency || queue.length === 0 || timer) {
+            return;
+        }
+
+        const wait = lastStart + intervalMs - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                startNext();
+            }, wait);
+            return;
+        }
+
+        const { fn, resolve, reject } = queue.shift();
+        active++;
+        lastStart = Date.now();
+
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                startNext();
+            });
+
+        startNext();
+    };
+
+    return (fn) => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        startNext();
+    });
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,67 @@
+/**
+ * Discord sink: posts the alerts to a channel webhook as embeds
+ *
+ *   ALERT_DISCORD_WEBHOOK_URL - Webhook URL from the channel's Integrations settings
+ */
+
+const { formatAmount } = require('./format');
+
+// Discord accepts at most 10 embeds per message
+const MAX_EMBEDS = 10;
+
+// Embed side colors for inflows and outflows
+const COLOR_INCREASE = 0x4ade80;
+const COLOR_DECREASE = 0xff6b6b;
+
+/**
+ * Reads the webhook URL from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} { url }, or null when not configured
+ */
+function fromEnv(env) {
+    return env.ALERT_DISCORD_WEBHOOK_URL ? { url: env.ALERT_DISCORD_WEBHOOK_URL } : null;
+}
+
+/**
+ * Builds the embed for one alert
+ * @param {Object} alert - Alert from detectMovements
+ * @returns {Object} Discord embed object
+ */
+function toEmbed(alert) {
+    const fields = [
+        { name: 'Change', value: formatAmount(alert.delta), inline: true },
+        { name: 'Previous', value: formatAmount(alert.previous, false), inline: true },
+        { name: 'Current', value: formatAmount(alert.current, false), inline: true }
+    ];
+    if (alert.deltaPct !== null) {
+        fields.splice(1, 0, { name: '%', value: `${alert.deltaPct > 0 ? '+' : ''}${alert.deltaPct.toFixed(2)}%`, inline: true });
+    }
+
+    return {
+        title: alert.name,
+        url: alert.explorerUrl || undefined,
+        color: alert.delta >= 0 ? COLOR_INCREASE : COLOR_DECREASE,
+        fields
+    };
+}
+
+/**
+ * Posts the alerts to the webhook, splitting into several messages when needed
+ * @param {Array<Object>} alerts - Alerts from detectMovements
+ * @param {Object} config - { url }
+ * @param {Function} post - (url, body) => Promise, retried per request
+ */
+async function send(alerts, config, post) {
+    for (let start = 0; start < alerts.length; start += MAX_EMBEDS) {
+        await post(config.url, {
+            content: start === 0 ? '**WOO balance alert**' : undefined,
+            embeds: alerts.slice(start, start + MAX_EMBEDS).map(toEmbed)
+        });
+    }
+}
+
+module.exports = {
+    type: 'discord',
+    fromEnv,
+    send
+};
@@ -0,0 +1,39 @@
+/**
+ * Text formatting shared by the alert sinks
+ */
+
+/**
+ * Formats a token amount, e.g. "+12,345,678 WOO"
+ * @param {number} amount - Token amount
+ * @param {boolean} signed - Prefix positive amounts with "+"
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, signed = true) {
+    const sign = signed && amount > 0 ? '+' : '';
+    return `${sign}${amount.toLocaleString('en-US', { maximumFractionDigits: 0 })} WOO`;
+}
+
+/**
+ * Formats an alert as a single line of plain text
+ * @param {Object} alert - Alert from detectMovements in fetch-balances.js
+ * @returns {string} e.g. "Arbitrum: +12,345,678 WOO (+2.54%)"
+ */
+function formatAlertText(alert) {
+    const pct = alert.deltaPct === null ? '' : ` (${alert.deltaPct > 0 ? '+' : ''}${alert.deltaPct.toFixed(2)}%)`;
+    return `${alert.name}: ${formatAmount(alert.delta)}${pct}`;
+}
+
+/**
+ * Formats the alerts as a plain text message
+ * @param {Array<Object>} alerts - Alerts from detectMovements
+ * @returns {string} Title line followed by one line per alert
+ */
+function formatAlertMessage(alerts) {
+    return ['WOO balance alert', ...alerts.map(formatAlertText)].join('\n');
+}
+
+module.exports = {
+    formatAmount,
+    formatAlertText,
+    formatAlertMessage
+};
@@ -0,0 +1,75 @@
+/**
+ * Alert sinks for large balance movements found by fetch-balances.js.
+ *
+ * Each sink module exports:
+ *   type     - Sink name used in log output
+ *   fromEnv  - (env) => config | null
+ *              Reads the sink's settings from environment variables and
+ *              returns null when the sink is not configured.
+ *   send     - async (alerts, config, post) => void
+ *              Delivers the alerts through post(url, body) and throws on
+ *              any failure. post retries each request on its own, so a
+ *              sink that sends several messages never re-sends one that
+ *              already went through.
+ *
+ * Every endpoint can be pointed at a local HTTP stub through its env vars.
+ * To add a destination, add a module here and list it below.
+ */
+
+const { withRetry, postJSON, RETRY_BASE_DELAY_MS } = require('../lib/http');
+const { formatAlertText } = require('./format');
+
+const NOTIFIER_MODULES = {
+    webhook: './webhook',
+    telegram: './telegram',
+    discord: './discord'
+};
+
+/**
+ * Returns the sinks configured in the environment
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Array<Object>} { type, send, config } for each configured sink
+ */
+function getConfiguredNotifiers(env) {
+    return Object.values(NOTIFIER_MODULES)
+        .map(modulePath => require(modulePath))
+        .map(notifier => ({ ...notifier, config: notifier.fromEnv(env) }))
+        .filter(notifier => notifier.config !== null);
+}
+
+/**
+ * Sends alerts to every configured sink. A failing sink is logged and does
+ * not stop delivery to the others.
+ * @param {Array<Object>} alerts - Alerts from detectMovements
+ * @param {Object} env - Environment variables, usually process.env
+ * @param {Object} logger - console or a logger from ../lib/logger
+ * @param {Object} options - { retryDelayMs } to shorten the retry backoff
+ * @returns {Promise<Array<string>>} Types of the sinks that failed
+ */
+async function sendAlerts(alerts, env, logger = console, { retryDelayMs = RETRY_BASE_DELAY_MS } = {}) {
+    const post = (url, body) => withRetry(() => postJSON(url, body), { baseDelayMs: retryDelayMs });
+    const notifiers = getConfiguredNotifiers(env);
+    if (notifiers.length === 0) {
+        logger.log('  No alert sinks configured (see .github/scripts/notifiers)');
+        return [];
+    }
+
+    const failed = [];
+    for (const notifier of notifiers) {
+        try {
+            await notifier.send(alerts, notifier.config, post);
+            logger.log(`✓ Sent ${alerts.length} alert(s) via ${notifier.type}`);
+        } catch (error) {
+            logger.error(`✗ ${notifier.type}: ${error.message}`);
+            failed.push(notifier.type);
+        }
+    }
+    return failed;
+}
+
+module.exports = {
+    formatAlertText,
+    getConfiguredNotifiers,
+    sendAlerts,
+    supportedTypes: Object.keys(NOTIFIER_MODULES)
+};
@@ -0,0 +1,62 @@
+/**
+ * Telegram sink: sends the alerts as a bot message
+ *
+ *   ALERT_TELEGRAM_BOT_TOKEN - Bot token from @BotFather
+ *   ALERT_TELEGRAM_CHAT_ID   - Chat, group or channel id to post to
+ *   TELEGRAM_API_BASE_URL    - Optional, defaults to https://api.telegram.org
+ */
+
+const { formatAlertText } = require('./format');
+
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+
+/**
+ * Reads the bot settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} { token, chatId, baseUrl }, or null when not configured
+ */
+function fromEnv(env) {
+    if (!env.ALERT_TELEGRAM_BOT_TOKEN || !env.ALERT_TELEGRAM_CHAT_ID) {
+        return null;
+    }
+    return {
+        token: env.ALERT_TELEGRAM_BOT_TOKEN,
+        chatId: env.ALERT_TELEGRAM_CHAT_ID,
+        baseUrl: env.TELEGRAM_API_BASE_URL || DEFAULT_API_BASE_URL
+    };
+}
+
+/**
+ * Escapes text for Telegram's HTML parse mode
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Sends the alerts through the Bot API, one line per alert linking to the explorer
+ * @param {Array<Object>} alerts - Alerts from detectMovements
+ * @param {Object} config - { token, chatId, baseUrl }
+ * @param {Function} post - (url, body) => Promise, retried per request
+ */
+async function send(alerts, config, post) {
+    const lines = alerts.map(alert => {
+        const text = escapeHtml(formatAlertText(alert));
+        return alert.explorerUrl ? `• <a href="${escapeHtml(alert.explorerUrl)}">${text}</a>` : `• ${text}`;
+    });
+
+    await post(`${config.baseUrl}/bot${config.token}/sendMessage`, {
+        chat_id: config.chatId,
+        text: ['<b>WOO balance alert</b>', ...lines].join('\n'),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+    });
+}
+
+module.exports = {
+    type: 'telegram',
+    fromEnv,
+    send
+};
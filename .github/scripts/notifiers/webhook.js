@@ -0,0 +1,37 @@
+/**
+ * Generic webhook sink: POSTs the alerts as JSON
+ *
+ *   ALERT_WEBHOOK_URL - Endpoint to POST to
+ *
+ * Body: { text, alerts: [{ kind, chain, name, previous, current, delta, deltaPct, explorerUrl }] }
+ */
+
+const { formatAlertMessage } = require('./format');
+
+/**
+ * Reads the webhook URL from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} { url }, or null when not configured
+ */
+function fromEnv(env) {
+    return env.ALERT_WEBHOOK_URL ? { url: env.ALERT_WEBHOOK_URL } : null;
+}
+
+/**
+ * Posts the alerts to the webhook
+ * @param {Array<Object>} alerts - Alerts from detectMovements
+ * @param {Object} config - { url }
+ * @param {Function} post - (url, body) => Promise, retried per request
+ */
+async function send(alerts, config, post) {
+    await post(config.url, {
+        text: formatAlertMessage(alerts),
+        alerts
+    });
+}
+
+module.exports = {
+    type: 'webhook',
+    fromEnv,
+    send
+};
@@ -0,0 +1,306 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStubServer, jsonRpcHandler } = require('./helpers/stub-server');
+const { getAdapter, supportedTypes } = require('../adapters');
+const { fromBaseUnits } = require('../adapters/json-rpc');
+
+const OPTIONS = { timeoutMs: 2000 };
+
+// ERC-20 function selectors
+const SELECTOR_TOTAL_SUPPLY = '0x18160ddd';
+const SELECTOR_DECIMALS = '0x313ce567';
+const SELECTOR_BALANCE_OF = '0x70a08231';
+
+/**
+ * Encodes a uint256 eth_call result
+ * @param {bigint} value - Value to encode
+ * @returns {string} 32-byte hex word
+ */
+function uint256(value) {
+    return '0x' + value.toString(16).padStart(64, '0');
+}
+
+/**
+ * Encodes a NEAR view method return value as the byte array the RPC sends
+ * @param {*} value - JSON value returned by the contract
+ * @returns {Array<number>} UTF-8 bytes of the JSON
+ */
+function nearBytes(value) {
+    return [...Buffer.from(JSON.stringify(value))];
+}
+
+/**
+ * Runs a test body against a stub server and always closes it
+ * @param {Function} handler - Stub handler
+ * @param {Function} body - async (stub) => void
+ */
+async function withStub(handler, body) {
+    const stub = await startStubServer(handler);
+    try {
+        await body(stub);
+    } finally {
+        await stub.close();
+    }
+}
+
+test('every chain type in the registry has an adapter', () => {
+    assert.deepStrictEqual(supportedTypes, ['evm', 'solana', 'near', 'sui', 'aptos']);
+    assert.throws(() => getAdapter('cosmos'), /No supply adapter for chain type "cosmos"/);
+});
+
+test('fromBaseUnits converts integer base units to whole tokens', () => {
+    assert.strictEqual(fromBaseUnits('1500000000000000000', 18), 1.5);
+    assert.strictEqual(fromBaseUnits(2500000n, 6), 2.5);
+    assert.strictEqual(fromBaseUnits('42', 0), 42);
+    assert.strictEqual(fromBaseUnits('0', 18), 0);
+    // Whole and fractional parts are split before converting, so large supplies keep their precision
+    assert.strictEqual(fromBaseUnits('1999999999123456789000000000', 18), 1999999999.123456789);
+});
+
+test('evm adapter reads totalSupply() and decimals() from the contract', () => {
+    const calls = [];
+    const chain = { chainId: 1, contractAddress: '0x4691937a7508860f876c9c0a2a617e7d9e945d4b' };
+
+    return withStub(jsonRpcHandler({
+        eth_call: ([call]) => {
+            calls.push(call.data.slice(0, 10));
+            assert.strictEqual(call.to.toLowerCase(), chain.contractAddress);
+            if (call.data === SELECTOR_TOTAL_SUPPLY) return uint256(123456789n * 10n ** 6n);
+            if (call.data === SELECTOR_DECIMALS) return uint256(6n);
+            throw new Error(`Unexpected call ${call.data}`);
+        }
+    }), async (stub) => {
+        const supply = await getAdapter('evm').fetchTotalSupply(chain, stub.url, OPTIONS);
+        assert.strictEqual(supply, 123456789);
+        assert.deepStrictEqual(calls.sort(), [SELECTOR_TOTAL_SUPPLY, SELECTOR_DECIMALS].sort());
+    });
+});
+
+test('evm adapter reads balanceOf() for a holder', () => {
+    const holder = '0x000000000000000000000000000000000000dEaD';
+    const chain = { chainId: 1, contractAddress: '0x4691937a7508860f876c9c0a2a617e7d9e945d4b' };
+
+    return withStub(jsonRpcHandler({
+        eth_call: ([call]) => {
+            if (call.data.startsWith(SELECTOR_BALANCE_OF)) {
+                assert.ok(call.data.toLowerCase().endsWith(holder.slice(2).toLowerCase()));
+                return uint256(25n * 10n ** 17n);
+            }
+            if (call.data === SELECTOR_DECIMALS) return uint256(18n);
+            throw new Error(`Unexpected call ${call.data}`);
+        }
+    }), async (stub) => {
+        assert.strictEqual(await getAdapter('evm').fetchBalance(chain, stub.url, holder, OPTIONS), 2.5);
+    });
+});
+
+test('evm adapter rejects a JSON-RPC error', () => {
+    const chain = { chainId: 1, contractAddress: '0x4691937a7508860f876c9c0a2a617e7d9e945d4b' };
+
+    return withStub(jsonRpcHandler({
+        eth_call: () => { throw new Error('execution reverted'); }
+    }), async (stub) => {
+        await assert.rejects(getAdapter('evm').fetchTotalSupply(chain, stub.url, OPTIONS));
+    });
+});
+
+test('solana adapter reads getTokenSupply for the mint', () => {
+    const chain = { contractAddress: 'WooMint111' };
+
+    return withStub(jsonRpcHandler({
+        getTokenSupply: ([mint]) => {
+            assert.strictEqual(mint, 'WooMint111');
+            return { context: { slot: 1 }, value: { amount: '3120000000000', decimals: 6, uiAmount: 3120000, uiAmountString: '3120000' } };
+        }
+    }), async (stub) => {
+        assert.strictEqual(await getAdapter('solana').fetchTotalSupply(chain, stub.url, OPTIONS), 3120000);
+    });
+});
+
+test('solana adapter rejects error and missing-result responses', async () => {
+    const chain = { contractAddress: 'WooMint111' };
+    const solana = getAdapter('solana');
+
+    await withStub(jsonRpcHandler({
+        getTokenSupply: () => { throw new Error('Invalid param: could not find mint'); }
+    }), async (stub) => {
+        await assert.rejects(solana.fetchTotalSupply(chain, stub.url, OPTIONS), /getTokenSupply failed: Invalid param/);
+    });
+
+    await withStub(() => ({ json: { jsonrpc: '2.0', id: 1 } }), async (stub) => {
+        await assert.rejects(solana.fetchTotalSupply(chain, stub.url, OPTIONS), /Invalid response from getTokenSupply/);
+    });
+
+    await withStub(jsonRpcHandler({ getTokenSupply: () => ({ context: { slot: 1 } }) }), async (stub) => {
+        await assert.rejects(solana.fetchTotalSupply(chain, stub.url, OPTIONS), /Invalid response from Solana RPC/);
+    });
+
+    await withStub(() => ({ status: 429, body: 'Too many requests' }), async (stub) => {
+        await assert.rejects(solana.fetchTotalSupply(chain, stub.url, OPTIONS), /HTTP 429/);
+    });
+});
+
+/**
+ * Handler for the NEAR query method
+ * @param {Object} views - View method name -> return value
+ * @param {Array<string>} calls - Receives the called method names
+ * @returns {Function} Stub handler
+ */
+function nearHandler(views, calls) {
+    return jsonRpcHandler({
+        query: (params) => {
+            calls.push(params.method_name);
+            assert.strictEqual(params.request_type, 'call_function');
+            assert.strictEqual(params.account_id, 'woo.near');
+            return { result: nearBytes(views[params.method_name]), logs: [], block_height: 1 };
+        }
+    });
+}
+
+test('near adapter uses chain.decimals when set', () => {
+    const calls = [];
+    const chain = { contractAddress: 'woo.near', decimals: 18 };
+
+    return withStub(nearHandler({ ft_total_supply: '5000000000000000000000' }, calls), async (stub) => {
+        assert.strictEqual(await getAdapter('near').fetchTotalSupply(chain, stub.url, OPTIONS), 5000);
+        assert.deepStrictEqual(calls, ['ft_total_supply']);
+    });
+});
+
+test('near adapter reads decimals from ft_metadata when chain.decimals is absent', () => {
+    const calls = [];
+    const chain = { contractAddress: 'woo.near' };
+
+    return withStub(nearHandler({ ft_total_supply: '12345000000', ft_metadata: { decimals: 6, symbol: 'WOO' } }, calls), async (stub) => {
+        assert.strictEqual(await getAdapter('near').fetchTotalSupply(chain, stub.url, OPTIONS), 12345);
+        assert.deepStrictEqual(calls, ['ft_total_supply', 'ft_metadata']);
+    });
+});
+
+test('near adapter rejects error and malformed responses', async () => {
+    const chain = { contractAddress: 'woo.near', decimals: 18 };
+    const near = getAdapter('near');
+
+    await withStub(jsonRpcHandler({
+        query: () => { throw new Error('Server error'); }
+    }), async (stub) => {
+        await assert.rejects(near.fetchTotalSupply(chain, stub.url, OPTIONS), /query failed: Server error/);
+    });
+
+    await withStub(jsonRpcHandler({ query: () => ({ error: 'wasm execution failed' }) }), async (stub) => {
+        await assert.rejects(near.fetchTotalSupply(chain, stub.url, OPTIONS), /Invalid response from NEAR ft_total_supply/);
+    });
+
+    await withStub(() => ({ json: { jsonrpc: '2.0', id: 1 } }), async (stub) => {
+        await assert.rejects(near.fetchTotalSupply(chain, stub.url, OPTIONS), /Invalid response from query/);
+    });
+});
+
+test('sui adapter uses chain.decimals when set', () => {
+    const calls = [];
+    const chain = { contractAddress: '0xabc::woo::WOO', decimals: 9 };
+
+    return withStub(jsonRpcHandler({
+        suix_getTotalSupply: ([coinType]) => {
+            calls.push('suix_getTotalSupply');
+            assert.strictEqual(coinType, '0xabc::woo::WOO');
+            return { value: '7000000000000' };
+        }
+    }), async (stub) => {
+        assert.strictEqual(await getAdapter('sui').fetchTotalSupply(chain, stub.url, OPTIONS), 7000);
+        assert.deepStrictEqual(calls, ['suix_getTotalSupply']);
+    });
+});
+
+test('sui adapter reads decimals from coin metadata when chain.decimals is absent', () => {
+    const chain = { contractAddress: '0xabc::woo::WOO' };
+
+    return withStub(jsonRpcHandler({
+        suix_getTotalSupply: () => ({ value: '7000000000000' }),
+        suix_getCoinMetadata: () => ({ decimals: 6, symbol: 'WOO' })
+    }), async (stub) => {
+        assert.strictEqual(await getAdapter('sui').fetchTotalSupply(chain, stub.url, OPTIONS), 7000000);
+    });
+});
+
+test('sui adapter rejects error, missing-result and missing-metadata responses', async () => {
+    const chain = { contractAddress: '0xabc::woo::WOO' };
+    const sui = getAdapter('sui');
+
+    await withStub(jsonRpcHandler({
+        suix_getTotalSupply: () => { throw new Error('Invalid struct type'); }
+    }), async (stub) => {
+        await assert.rejects(sui.fetchTotalSupply(chain, stub.url, OPTIONS), /suix_getTotalSupply failed: Invalid struct type/);
+    });
+
+    await withStub(() => ({ json: { jsonrpc: '2.0', id: 1 } }), async (stub) => {
+        await assert.rejects(sui.fetchTotalSupply(chain, stub.url, OPTIONS), /Invalid response from suix_getTotalSupply/);
+    });
+
+    await withStub(jsonRpcHandler({ suix_getTotalSupply: () => ({}) }), async (stub) => {
+        await assert.rejects(sui.fetchTotalSupply(chain, stub.url, OPTIONS), /Invalid response from Sui RPC/);
+    });
+
+    await withStub(jsonRpcHandler({
+        suix_getTotalSupply: () => ({ value: '1' }),
+        suix_getCoinMetadata: () => null
+    }), async (stub) => {
+        await assert.rejects(sui.fetchTotalSupply(chain, stub.url, OPTIONS), /Coin metadata not found on Sui/);
+    });
+});
+
+/**
+ * Handler for the Aptos fullnode view endpoint
+ * @param {Object} views - View function id -> return values
+ * @param {Array<string>} calls - Receives the called function ids
+ * @returns {Function} Stub handler
+ */
+function aptosHandler(views, calls) {
+    return (request) => {
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.url, '/v1/view');
+        calls.push(request.json.function);
+        assert.deepStrictEqual(request.json.type_arguments, ['0x1::woo::WOO']);
+        return { json: views[request.json.function] };
+    };
+}
+
+test('aptos adapter uses chain.decimals when set', () => {
+    const calls = [];
+    const chain = { contractAddress: '0x1::woo::WOO', decimals: 8 };
+
+    return withStub(aptosHandler({ '0x1::coin::supply': [{ vec: ['250000000000'] }] }, calls), async (stub) => {
+        assert.strictEqual(await getAdapter('aptos').fetchTotalSupply(chain, `${stub.url}/v1/`, OPTIONS), 2500);
+        assert.deepStrictEqual(calls, ['0x1::coin::supply']);
+    });
+});
+
+test('aptos adapter reads decimals from coin::decimals when chain.decimals is absent', () => {
+    const calls = [];
+    const chain = { contractAddress: '0x1::woo::WOO' };
+
+    return withStub(aptosHandler({
+        '0x1::coin::supply': [{ vec: ['250000000000'] }],
+        '0x1::coin::decimals': [6]
+    }, calls), async (stub) => {
+        assert.strictEqual(await getAdapter('aptos').fetchTotalSupply(chain, `${stub.url}/v1`, OPTIONS), 250000);
+        assert.deepStrictEqual(calls, ['0x1::coin::supply', '0x1::coin::decimals']);
+    });
+});
+
+test('aptos adapter rejects untracked supply, malformed and error responses', async () => {
+    const chain = { contractAddress: '0x1::woo::WOO', decimals: 8 };
+    const aptos = getAdapter('aptos');
+
+    await withStub(() => ({ json: [{ vec: [] }] }), async (stub) => {
+        await assert.rejects(aptos.fetchTotalSupply(chain, `${stub.url}/v1`, OPTIONS), /Coin supply is not tracked on Aptos/);
+    });
+
+    await withStub(() => ({ json: { message: 'function not found' } }), async (stub) => {
+        await assert.rejects(aptos.fetchTotalSupply(chain, `${stub.url}/v1`, OPTIONS), /Invalid response from 0x1::coin::supply/);
+    });
+
+    await withStub(() => ({ status: 400, json: { error_code: 'invalid_input' } }), async (stub) => {
+        await assert.rejects(aptos.fetchTotalSupply(chain, `${stub.url}/v1`, OPTIONS), /HTTP 400 from 0x1::coin::supply/);
+    });
+});
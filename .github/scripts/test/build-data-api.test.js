@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSupply } = require('../build-data-api');
+
+const DISTRIBUTION = { totalBalance: 1900000000, snapshotAt: '2026-10-18T12:00:00.000Z' };
+const METRICS = { totalSupply: 1950000000, circulatingSupply: 1700000000, fetchedAt: '2026-10-18T12:30:00.000Z' };
+
+test('burned matches the page: max supply minus total supply plus burn-address balances', () => {
+    const supply = buildSupply(DISTRIBUTION, METRICS, {
+        updatedAt: '2026-10-18T12:00:00.000Z',
+        totals: { treasury: 0, vesting: 0, bridge: 0, burn: 5000000 },
+        holders: [
+            { label: 'Dead address', kind: 'burn', chain: 'ethereum', address: '0xdead', balance: 5000000 },
+            { label: 'Treasury', kind: 'treasury', chain: 'ethereum', address: '0xtreasury', balance: 250000000 }
+        ]
+    });
+
+    assert.strictEqual(supply.burned, 3000000000 - 1950000000 + 5000000);
+    assert.strictEqual(supply.burnAddressBalance, 5000000);
+    assert.strictEqual(supply.treasury, 250000000);
+});
+
+test('holder totals are null rather than 0 until a holder of that kind is read', () => {
+    const supply = buildSupply(DISTRIBUTION, METRICS, {
+        updatedAt: null,
+        totals: { treasury: 0, vesting: 0, bridge: 0, burn: 0 },
+        holders: [{ label: 'Dead address', kind: 'burn', chain: 'ethereum', address: '0xdead', balance: null }]
+    });
+
+    assert.strictEqual(supply.burnAddressBalance, null);
+    assert.strictEqual(supply.treasury, null);
+    assert.strictEqual(supply.vesting, null);
+    assert.strictEqual(supply.bridgeEscrow, null);
+    // Burned supply still follows from the API total supply
+    assert.strictEqual(supply.burned, 1050000000);
+    assert.strictEqual(supply.holdersUpdatedAt, null);
+});
+
+test('burned is null without a total supply', () => {
+    const supply = buildSupply(DISTRIBUTION, { totalSupply: null }, { holders: [] });
+    assert.strictEqual(supply.burned, null);
+});
@@ -0,0 +1,323 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStubServer, jsonRpcHandler, silentLogger } = require('./helpers/stub-server');
+const { fetchChainTotalSupply, fetchCirculatingSupply } = require('../lib/chain-readers');
+const { collectBalances } = require('../lib/balances');
+const { withRetry } = require('../lib/http');
+
+// Short delays and timeouts keep the retry paths fast
+const READER_OPTIONS = { logger: silentLogger, retryDelayMs: 1, timeoutMs: 200 };
+
+// categories.json with the distribution table under its current id
+const CATEGORIES = [
+    { id: 'Platform', render: 'cards' },
+    { id: 'Explorers', render: 'distribution-table' }
+];
+
+/**
+ * Handler answering getTokenSupply with a fixed supply
+ * @param {number} supply - Whole tokens
+ * @returns {Function} Stub handler
+ */
+function supplyHandler(supply) {
+    return jsonRpcHandler({
+        getTokenSupply: () => ({ value: { amount: String(supply * 1e6), decimals: 6, uiAmountString: String(supply) } })
+    });
+}
+
+/**
+ * Builds a Solana chain entry for the given endpoints
+ * @param {Array<string>} rpcs - RPC endpoints, in fallback order
+ * @returns {Object} Chain registry entry
+ */
+function solanaChain(rpcs) {
+    return { id: 'solana', name: 'Solana', type: 'solana', rpcs, contractAddress: 'WooMint111' };
+}
+
+test('withRetry backs off exponentially from baseDelayMs', async () => {
+    let calls = 0;
+    const started = Date.now();
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw new Error('flaky');
+        return 'ok';
+    }, { attempts: 3, baseDelayMs: 20 });
+
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(calls, 3);
+    // 20ms before the second call, 40ms before the third
+    assert.ok(Date.now() - started >= 55);
+});
+
+test('withRetry rethrows the last error once attempts run out', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw new Error(`failure ${calls}`);
+        }, { attempts: 2, baseDelayMs: 1 }),
+        /failure 2/
+    );
+    assert.strictEqual(calls, 2);
+});
+
+test('fetchChainTotalSupply retries an endpoint before it succeeds', async () => {
+    let calls = 0;
+    const rpc = await startStubServer((request) => {
+        calls++;
+        return calls < 3 ? { status: 502, body: 'bad gateway' } : supplyHandler(42)(request);
+    });
+    const backup = await startStubServer(supplyHandler(1));
+
+    try {
+        const supply = await fetchChainTotalSupply(solanaChain([rpc.url, backup.url]), READER_OPTIONS);
+        assert.strictEqual(supply, 42);
+        assert.strictEqual(rpc.requests.length, 3);
+        assert.strictEqual(backup.requests.length, 0);
+    } finally {
+        await rpc.close();
+        await backup.close();
+    }
+});
+
+test('fetchChainTotalSupply falls back to the next endpoint in order', async () => {
+    const order = [];
+    const first = await startStubServer(() => {
+        order.push('first');
+        return { status: 500 };
+    });
+    const second = await startStubServer((request) => {
+        order.push('second');
+        return jsonRpcHandler({ getTokenSupply: () => { throw new Error('node is syncing'); } })(request);
+    });
+    const third = await startStubServer((request) => {
+        order.push('third');
+        return supplyHandler(7)(request);
+    });
+
+    try {
+        const supply = await fetchChainTotalSupply(solanaChain([first.url, second.url, third.url]), READER_OPTIONS);
+        assert.strictEqual(supply, 7);
+        // Each failing endpoint gets all its retries before the next is tried
+        assert.deepStrictEqual(order, ['first', 'first', 'first', 'second', 'second', 'second', 'third']);
+    } finally {
+        await first.close();
+        await second.close();
+        await third.close();
+    }
+});
+
+test('fetchChainTotalSupply treats a slow endpoint as failed after timeoutMs', async () => {
+    const slow = await startStubServer(() => ({ delayMs: 1000, json: {} }));
+    const fast = await startStubServer(supplyHandler(5));
+
+    try {
+        const started = Date.now();
+        const supply = await fetchChainTotalSupply(solanaChain([slow.url, fast.url]), { ...READER_OPTIONS, timeoutMs: 50 });
+        assert.strictEqual(supply, 5);
+        assert.ok(Date.now() - started < 1000);
+    } finally {
+        await slow.close();
+        await fast.close();
+    }
+});
+
+test('fetchChainTotalSupply throws when every endpoint fails', async () => {
+    const down = await startStubServer(() => ({ status: 503 }));
+
+    try {
+        await assert.rejects(
+            fetchChainTotalSupply(solanaChain([down.url, `${down.url}/other`]), READER_OPTIONS),
+            /All RPC endpoints failed/
+        );
+        assert.strictEqual(down.requests.length, 6);
+    } finally {
+        await down.close();
+    }
+});
+
+test('rpcOverrideUrl sends every read to the override endpoint', async () => {
+    const override = await startStubServer(supplyHandler(9));
+
+    try {
+        const chain = solanaChain(['http://127.0.0.1:1/unreachable']);
+        const supply = await fetchChainTotalSupply(chain, { ...READER_OPTIONS, rpcOverrideUrl: override.url });
+        assert.strictEqual(supply, 9);
+    } finally {
+        await override.close();
+    }
+});
+
+test('fetchCirculatingSupply returns 0 when the API keeps failing', async () => {
+    const api = await startStubServer(() => ({ status: 500 }));
+
+    try {
+        assert.strictEqual(await fetchCirculatingSupply({ ...READER_OPTIONS, wooApiBaseUrl: api.url }), 0);
+        assert.strictEqual(api.requests.length, 3);
+    } finally {
+        await api.close();
+    }
+});
+
+test('collectBalances keeps the last known value and flags it stale when a chain fails', async () => {
+    const api = await startStubServer(() => ({ json: 1000 }));
+    const healthy = await startStubServer(supplyHandler(100));
+    const down = await startStubServer(() => ({ status: 503 }));
+
+    const chains = [
+        { ...solanaChain([healthy.url]), id: 'home', name: 'Home', role: 'canonical', explorerUrl: 'https://home.test/{address}', icon: 'assets/home.png' },
+        { ...solanaChain([healthy.url]), id: 'up', name: 'Up', role: 'bridged', explorerUrl: 'https://up.test/{address}', icon: 'assets/up.png' },
+        { ...solanaChain([down.url]), id: 'down', name: 'Down', role: 'bridged', explorerUrl: 'https://down.test/{address}', icon: 'assets/down.png' }
+    ];
+    const links = [
+        { name: 'Down', category: 'Explorers', chain: 'down', tokenBalance: 250, balanceUpdatedAt: '2026-01-01T12:00:00.000Z' }
+    ];
+
+    try {
+        const result = await collectBalances(
+            { links, categories: CATEGORIES, chains, holdersData: { holders: [] }, history: [] },
+            { ...READER_OPTIONS, wooApiBaseUrl: api.url, chainIds: null, concurrency: 2, rateLimitMs: 0 }
+        );
+        const byChain = Object.fromEntries(result.explorerLinks.map(link => [link.chain, link]));
+
+        assert.strictEqual(byChain.down.tokenBalance, 250);
+        assert.strictEqual(byChain.down.balanceStale, true);
+        assert.strictEqual(byChain.down.balanceUpdatedAt, '2026-01-01T12:00:00.000Z');
+
+        assert.strictEqual(byChain.up.tokenBalance, 100);
+        assert.strictEqual(byChain.up.balanceStale, undefined);
+
+        // The canonical chain holds circulating supply minus everything bridged
+        assert.strictEqual(byChain.home.tokenBalance, 1000 - 100 - 250);
+        assert.strictEqual(result.canonicalTotalSupply, 100);
+
+        // History is keyed by registry chain id, not display name
+        assert.deepStrictEqual(result.snapshot.balances, { home: 650, down: 250, up: 100 });
+    } finally {
+        await api.close();
+        await healthy.close();
+        await down.close();
+    }
+});
+
+test('collectBalances recomputes the canonical balance when --chain leaves it out', async () => {
+    const api = await startStubServer(() => ({ json: 1000 }));
+    const bridged = await startStubServer(supplyHandler(300));
+    const canonical = await startStubServer(supplyHandler(999));
+
+    const chains = [
+        { ...solanaChain([canonical.url]), id: 'home', name: 'Home', role: 'canonical', explorerUrl: 'https://home.test/{address}', icon: 'assets/home.png' },
+        { ...solanaChain([bridged.url]), id: 'up', name: 'Up', role: 'bridged', explorerUrl: 'https://up.test/{address}', icon: 'assets/up.png' },
+        { ...solanaChain([bridged.url]), id: 'down', name: 'Down', role: 'bridged', explorerUrl: 'https://down.test/{address}', icon: 'assets/down.png' }
+    ];
+    const updatedAt = '2026-01-01T12:00:00.000Z';
+    const links = [
+        { name: 'Home', category: 'Explorers', chain: 'home', tokenBalance: 800, balanceUpdatedAt: updatedAt },
+        { name: 'Up', category: 'Explorers', chain: 'up', tokenBalance: 100, balanceUpdatedAt: updatedAt },
+        { name: 'Down', category: 'Explorers', chain: 'down', tokenBalance: 100, balanceUpdatedAt: updatedAt }
+    ];
+    const history = [{ date: '2026-01-01', circulatingSupply: 1000, canonicalTotalSupply: 1200, balances: { home: 800, up: 100, down: 100 } }];
+
+    try {
+        const result = await collectBalances(
+            { links, categories: CATEGORIES, chains, holdersData: { holders: [] }, history },
+            { ...READER_OPTIONS, wooApiBaseUrl: api.url, chainIds: ['up'], concurrency: 2, rateLimitMs: 0 }
+        );
+
+        // Only the selected bridged chain and the circulating supply were read
+        assert.strictEqual(canonical.requests.length, 0);
+        assert.deepStrictEqual(result.snapshot.balances, { home: 600, up: 300, down: 100 });
+
+        // The snapshot's balances add up to the circulating supply it records
+        const sum = Object.values(result.snapshot.balances).reduce((total, balance) => total + balance, 0);
+        assert.strictEqual(sum, result.snapshot.circulatingSupply);
+        assert.strictEqual(result.canonicalTotalSupply, 1200);
+    } finally {
+        await api.close();
+        await bridged.close();
+        await canonical.close();
+    }
+});
+
+test('collectBalances only bumps holders updatedAt when a holder was read', async () => {
+    const api = await startStubServer(() => ({ json: 1000 }));
+    // ERC-20 token answering totalSupply(), decimals() and balanceOf() with 0-decimal amounts
+    const word = (value) => '0x' + value.toString(16).padStart(64, '0');
+    const rpc = await startStubServer(jsonRpcHandler({
+        eth_call: ([call]) => {
+            if (call.data.startsWith('0x70a08231')) return word(5);
+            if (call.data === '0x313ce567') return word(0);
+            return word(100);
+        }
+    }));
+
+    const evmChain = (id, name, role) => ({
+        id, name, role, type: 'evm', chainId: 1, rpcs: [rpc.url],
+        contractAddress: '0x4691937a7508860f876c9c0a2a617e7d9e945d4b',
+        explorerUrl: `https://${id}.test/{address}`, icon: `assets/${id}.png`
+    });
+    const chains = [evmChain('home', 'Home', 'canonical'), evmChain('up', 'Up', 'bridged')];
+    const previousUpdatedAt = '2026-01-01T12:00:00.000Z';
+    const holdersData = () => ({
+        updatedAt: previousUpdatedAt,
+        holders: [{ label: 'Escrow', kind: 'bridge', chain: 'home', address: '0x000000000000000000000000000000000000dEaD', balance: 1 }]
+    });
+    const warnings = [];
+    const logger = { ...silentLogger, warn: message => warnings.push(message) };
+    const run = (data, chainIds) => collectBalances(
+        { links: [], categories: CATEGORIES, chains, holdersData: data, history: [] },
+        { ...READER_OPTIONS, logger, wooApiBaseUrl: api.url, chainIds, concurrency: 2, rateLimitMs: 0, now: new Date('2026-01-02T12:00:00.000Z') }
+    );
+
+    try {
+        // --chain skipped the only holder's chain
+        const skipped = await run(holdersData(), ['up']);
+        assert.strictEqual(skipped.holdersData.updatedAt, previousUpdatedAt);
+        assert.strictEqual(skipped.holdersData.holders[0].balance, 1);
+
+        const read = await run(holdersData(), null);
+        assert.strictEqual(read.holdersData.holders[0].balance, 5);
+        assert.strictEqual(read.holdersData.updatedAt, '2026-01-02T12:00:00.000Z');
+
+        // Kinds without any configured address are called out on every run
+        assert.match(warnings[0], /No treasury, vesting, burn holders in holders.json/);
+    } finally {
+        await api.close();
+        await rpc.close();
+    }
+});
+
+test('collectBalances builds the distribution rows in the distribution-table category', async () => {
+    const api = await startStubServer(() => ({ json: 1000 }));
+    const rpc = await startStubServer(supplyHandler(100));
+
+    const chains = [
+        { ...solanaChain([rpc.url]), id: 'home', name: 'Home', role: 'canonical', explorerUrl: 'https://home.test/{address}', icon: 'assets/home.png' }
+    ];
+    const categories = [
+        { id: 'Platform', render: 'cards' },
+        { id: 'Chains', render: 'distribution-table' }
+    ];
+    const links = [
+        { name: 'Site', category: 'Platform', url: 'https://site.test' },
+        { name: 'Home', category: 'Chains', chain: 'home', tokenBalance: 900, note: 'kept' }
+    ];
+    const data = { links, categories, chains, holdersData: { holders: [] }, history: [] };
+    const options = { ...READER_OPTIONS, wooApiBaseUrl: api.url, chainIds: null, concurrency: 2, rateLimitMs: 0 };
+
+    try {
+        const result = await collectBalances(data, options);
+
+        assert.deepStrictEqual(result.links.map(link => [link.name, link.category]), [['Site', 'Platform'], ['Home', 'Chains']]);
+        assert.strictEqual(result.explorerLinks[0].note, 'kept');
+        assert.strictEqual(result.explorerLinks[0].tokenBalance, 1000);
+
+        await assert.rejects(
+            collectBalances({ ...data, categories: [{ id: 'Platform', render: 'cards' }] }, options),
+            /Expected exactly one distribution-table category in categories.json, found 0/
+        );
+    } finally {
+        await api.close();
+        await rpc.close();
+    }
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubServer } = require('./helpers/stub-server');
+const { checkLink, checkLinks } = require('../check-links');
+
+// Site root with a single image under assets/
+const siteRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'check-links-'));
+fs.mkdirSync(path.join(siteRoot, 'assets'));
+fs.writeFileSync(path.join(siteRoot, 'assets/logo.png'), '');
+fs.writeFileSync(path.join(siteRoot, 'outside.png'), '');
+
+const OPTIONS = { siteRoot, timeoutMs: 1000, concurrency: 2 };
+
+let site;
+
+/**
+ * Answers the stub site's paths
+ * @param {Object} request - Request recorded by the stub server
+ * @returns {Object} Stub response
+ */
+function siteHandler(request) {
+    const loop = request.url.match(/^\/loop\/(\d+)$/);
+    if (loop) {
+        return { status: 302, headers: { Location: `/loop/${Number(loop[1]) + 1}` } };
+    }
+
+    switch (request.url) {
+        case '/ok':
+            return { status: 200, body: 'ok' };
+        case '/moved':
+            return { status: 301, headers: { Location: '/moved-again' } };
+        case '/moved-again':
+            return { status: 302, headers: { Location: `${site.url}/ok` } };
+        case '/no-head':
+            return request.method === 'HEAD' ? { status: 405 } : { status: 200, body: 'ok' };
+        case '/forbidden':
+            return { status: 403 };
+        case '/rate-limited':
+            return { status: 429 };
+        case '/slow':
+            return { status: 200, delayMs: 2000 };
+        default:
+            return { status: 404 };
+    }
+}
+
+test.before(async () => {
+    site = await startStubServer(siteHandler);
+});
+
+test.after(async () => {
+    await site.close();
+    fs.rmSync(siteRoot, { recursive: true, force: true });
+});
+
+/**
+ * Builds a links.json entry for a path on the stub site
+ * @param {string} urlPath - Path on the stub site
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} links.json entry
+ */
+function stubLink(urlPath, overrides = {}) {
+    return { name: urlPath, url: `${site.url}${urlPath}`, image: 'assets/logo.png', category: 'Platform', ...overrides };
+}
+
+/**
+ * Methods and paths the stub site received for one path
+ * @param {string} prefix - Path prefix
+ * @returns {Array<string>} e.g. ['HEAD /ok']
+ */
+function requestsFor(prefix) {
+    return site.requests
+        .filter(request => request.url.startsWith(prefix))
+        .map(request => `${request.method} ${request.url}`);
+}
+
+test('a 2xx answer to HEAD is ok', async () => {
+    const entry = await checkLink(stubLink('/ok'), OPTIONS);
+
+    assert.deepStrictEqual(entry, {
+        name: '/ok',
+        url: `${site.url}/ok`,
+        status: 'ok',
+        httpStatus: 200,
+        finalUrl: `${site.url}/ok`,
+        redirects: [],
+        problems: []
+    });
+});
+
+test('redirect chains are followed and each hop is reported', async () => {
+    const entry = await checkLink(stubLink('/moved'), OPTIONS);
+
+    assert.strictEqual(entry.status, 'ok');
+    assert.strictEqual(entry.finalUrl, `${site.url}/ok`);
+    assert.deepStrictEqual(entry.redirects, [
+        { status: 301, from: `${site.url}/moved`, to: `${site.url}/moved-again` },
+        { status: 302, from: `${site.url}/moved-again`, to: `${site.url}/ok` }
+    ]);
+});
+
+test('more than MAX_REDIRECTS hops is broken', async () => {
+    const entry = await checkLink(stubLink('/loop/0'), OPTIONS);
+
+    assert.strictEqual(entry.status, 'broken');
+    assert.deepStrictEqual(entry.problems, ['Request failed: More than 5 redirects']);
+    // The first request plus five followed hops
+    assert.strictEqual(requestsFor('/loop/').length, 6);
+});
+
+test('a HEAD 405 is retried with GET', async () => {
+    const entry = await checkLink(stubLink('/no-head'), OPTIONS);
+
+    assert.strictEqual(entry.status, 'ok');
+    assert.strictEqual(entry.httpStatus, 200);
+    assert.deepStrictEqual(requestsFor('/no-head'), ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('a 404 on both HEAD and GET is broken', async () => {
+    const entry = await checkLink(stubLink('/gone'), OPTIONS);
+
+    assert.strictEqual(entry.status, 'broken');
+    assert.deepStrictEqual(entry.problems, ['HTTP 404']);
+});
+
+test('403 and 429 are warnings rather than broken links', async () => {
+    const forbidden = await checkLink(stubLink('/forbidden'), OPTIONS);
+    const rateLimited = await checkLink(stubLink('/rate-limited'), OPTIONS);
+
+    assert.strictEqual(forbidden.status, 'warning');
+    assert.deepStrictEqual(forbidden.problems, ['HTTP 403 (may block automated checks)']);
+    assert.strictEqual(rateLimited.status, 'warning');
+    assert.deepStrictEqual(rateLimited.problems, ['HTTP 429 (may block automated checks)']);
+});
+
+test('a request slower than timeoutMs is broken', async () => {
+    const entry = await checkLink(stubLink('/slow'), { ...OPTIONS, timeoutMs: 100 });
+
+    assert.strictEqual(entry.status, 'broken');
+    assert.strictEqual(entry.httpStatus, null);
+    assert.match(entry.problems[0], /^Request failed: /);
+});
+
+test('an image missing from assets/ is broken', async () => {
+    const missing = await checkLink(stubLink('/ok', { image: 'assets/missing.png' }), OPTIONS);
+    const outside = await checkLink(stubLink('/ok', { image: 'outside.png' }), OPTIONS);
+
+    assert.strictEqual(missing.status, 'broken');
+    assert.deepStrictEqual(missing.problems, ['Image not found under assets/: assets/missing.png']);
+    // Files that exist but sit outside assets/ do not count
+    assert.deepStrictEqual(outside.problems, ['Image not found under assets/: outside.png']);
+});
+
+test('an explorer URL without the contract address is broken', async () => {
+    const contractAddress = '0x4691937a7508860F876c9c0a2a617E7d9E945D4B';
+    const wrong = await checkLink(stubLink('/ok', { contractAddress }), OPTIONS);
+    const right = await checkLink(stubLink(`/token/${contractAddress.toLowerCase()}`, { contractAddress }), OPTIONS);
+
+    assert.strictEqual(wrong.status, 'broken');
+    assert.deepStrictEqual(wrong.problems, [`URL does not contain contract address ${contractAddress}`]);
+    // The address is matched case-insensitively; this path is a 404 on the stub
+    assert.deepStrictEqual(right.problems, ['HTTP 404']);
+});
+
+test('checkLinks reports every link in input order', async (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    const results = await checkLinks([
+        stubLink('/slow', { name: 'Slow' }),
+        stubLink('/ok', { name: 'Ok' }),
+        stubLink('/forbidden', { name: 'Forbidden' })
+    ], { ...OPTIONS, timeoutMs: 100 });
+
+    assert.deepStrictEqual(
+        results.map(result => [result.name, result.status]),
+        [['Slow', 'broken'], ['Ok', 'ok'], ['Forbidden', 'warning']]
+    );
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { parseFlags } = require('../lib/cli-options');
+const fetchBalances = require('../fetch-balances');
+const checkLinks = require('../check-links');
+
+const SPEC = { input: 'value', 'dry-run': 'boolean' };
+
+test('parseFlags reads value and boolean flags', () => {
+    assert.deepStrictEqual(parseFlags([], SPEC), {});
+    assert.deepStrictEqual(parseFlags(['--input=a=b.json', '--dry-run'], SPEC), { input: 'a=b.json', 'dry-run': true });
+});
+
+test('parseFlags rejects flags outside the spec', () => {
+    assert.throws(() => parseFlags(['--dryrun'], SPEC), /Unknown flag: --dryrun/);
+    assert.throws(() => parseFlags(['--constructor'], SPEC), /Unknown flag: --constructor/);
+    assert.throws(() => parseFlags(['input.json'], SPEC), /Unknown argument: input.json/);
+    assert.throws(() => parseFlags(['-i'], SPEC), /Unknown argument: -i/);
+});
+
+test('parseFlags rejects value flags without a value and boolean flags with one', () => {
+    assert.throws(() => parseFlags(['--input'], SPEC), /Missing value for --input/);
+    assert.throws(() => parseFlags(['--input='], SPEC), /Missing value for --input/);
+    assert.throws(() => parseFlags(['--dry-run=false'], SPEC), /--dry-run does not take a value/);
+});
+
+test('fetch-balances rejects unknown and valueless flags', () => {
+    const { parseOptions } = fetchBalances;
+
+    assert.throws(() => parseOptions(['--dryrun'], {}), /Unknown flag: --dryrun/);
+    for (const flag of ['--chain', '--input', '--output']) {
+        assert.throws(() => parseOptions([flag], {}), new RegExp(`Missing value for ${flag}`));
+    }
+    assert.throws(() => parseOptions(['--chain=,'], {}), /Invalid value for --chain/);
+});
+
+test('fetch-balances reads its documented flags', () => {
+    const options = fetchBalances.parseOptions([
+        '--chain=ethereum, arbitrum',
+        '--input=in/links.json',
+        '--format=json',
+        '--concurrency=2',
+        '--dry-run',
+        '--max-chain-drop-pct=30'
+    ], { MAX_SUPPLY_CHANGE_PCT: '12' });
+
+    assert.deepStrictEqual(options.chainIds, ['ethereum', 'arbitrum']);
+    assert.strictEqual(options.input, path.resolve('in/links.json'));
+    assert.strictEqual(options.output, options.input);
+    assert.strictEqual(options.format, 'json');
+    assert.strictEqual(options.concurrency, 2);
+    assert.strictEqual(options.dryRun, true);
+    assert.strictEqual(options.force, false);
+    assert.strictEqual(options.maxChainDropPct, 30);
+    assert.strictEqual(options.maxSupplyChangePct, 12);
+});
+
+test('check-links rejects unknown and valueless flags', () => {
+    const { parseOptions } = checkLinks;
+
+    assert.throws(() => parseOptions(['--timeout=100']), /Unknown flag: --timeout/);
+    assert.throws(() => parseOptions(['--input']), /Missing value for --input/);
+    assert.throws(() => parseOptions(['--output']), /Missing value for --output/);
+    assert.throws(() => parseOptions(['--concurrency=0']), /Invalid value for --concurrency/);
+
+    const options = parseOptions(['--timeout-ms=500', '--strict']);
+    assert.strictEqual(options.timeoutMs, 500);
+    assert.strictEqual(options.strict, true);
+});
@@ -0,0 +1,116 @@
+/**
+ * Local HTTP stub for the script tests: records every request and answers
+ * with whatever the test's handler returns
+ */
+
+const http = require('http');
+
+/**
+ * Starts a stub server on a free local port
+ * @param {Function} handler - (request) => response, where request is
+ * { method, url, headers, body, json } and response is
+ * { status, headers, body, json, delayMs }; a response with json is sent as JSON
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+function startStubServer(handler) {
+    const requests = [];
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            let json;
+            try {
+                json = body ? JSON.parse(body) : undefined;
+            } catch {
+                json = undefined;
+            }
+
+            const request = { method: req.method, url: req.url, headers: req.headers, body, json };
+            requests.push(request);
+
+            const response = handler(request) || {};
+            const send = () => {
+                const headers = { ...response.headers };
+                let payload = response.body ?? '';
+                if (response.json !== undefined) {
+                    headers['Content-Type'] = 'application/json';
+                    payload = JSON.stringify(response.json);
+                }
+                res.writeHead(response.status || 200, headers);
+                res.end(req.method === 'HEAD' ? undefined : payload);
+            };
+
+            if (response.delayMs) {
+                setTimeout(send, response.delayMs);
+            } else {
+                send();
+            }
+        });
+    });
+
+    // Track sockets so close() does not wait on keep-alive connections
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                requests,
+                close: () => new Promise(done => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Builds a JSON-RPC handler that answers each method from a table
+ * @param {Object} methods - Method name -> (params, request) => result;
+ * throwing { code, message } answers with a JSON-RPC error
+ * @returns {Function} Handler for startStubServer; batched requests are answered as a batch
+ */
+function jsonRpcHandler(methods) {
+    const answer = (message, request) => {
+        const method = methods[message.method];
+        if (!method) {
+            return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+        }
+        try {
+            return { jsonrpc: '2.0', id: message.id, result: method(message.params, request) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: message.id, error: { code: error.code || -32000, message: error.message } };
+        }
+    };
+
+    return (request) => ({
+        json: Array.isArray(request.json)
+            ? request.json.map(message => answer(message, request))
+            : answer(request.json, request)
+    });
+}
+
+/**
+ * Logger that discards everything, for code that takes a logger option
+ */
+const silentLogger = {
+    log: () => {},
+    debug: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+module.exports = {
+    startStubServer,
+    jsonRpcHandler,
+    silentLogger
+};
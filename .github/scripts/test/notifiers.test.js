@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStubServer, silentLogger } = require('./helpers/stub-server');
+const { sendAlerts, getConfiguredNotifiers } = require('../notifiers');
+
+const SEND_OPTIONS = { retryDelayMs: 1 };
+
+/**
+ * Builds a chain alert like detectMovements does
+ * @param {string} name - Chain display name
+ * @param {number} previous - Previous balance
+ * @param {number} current - Current balance
+ * @returns {Object} Alert
+ */
+function chainAlert(name, previous, current) {
+    const delta = current - previous;
+    return {
+        kind: 'chain',
+        chain: name.toLowerCase(),
+        name,
+        previous,
+        current,
+        delta,
+        deltaPct: previous !== 0 ? delta / previous * 100 : null,
+        explorerUrl: `https://explorer.test/${name.toLowerCase()}`
+    };
+}
+
+const ALERTS = [
+    chainAlert('Arbitrum', 10000000, 12000000),
+    chainAlert('BSC', 8000000, 6000000)
+];
+
+test('only sinks with their settings in the environment are configured', () => {
+    assert.deepStrictEqual(getConfiguredNotifiers({}), []);
+
+    const types = getConfiguredNotifiers({
+        ALERT_WEBHOOK_URL: 'http://127.0.0.1/hook',
+        ALERT_TELEGRAM_BOT_TOKEN: 'token'
+    }).map(notifier => notifier.type);
+    // Telegram also needs a chat id
+    assert.deepStrictEqual(types, ['webhook']);
+});
+
+test('sendAlerts does nothing when no sink is configured', async () => {
+    assert.deepStrictEqual(await sendAlerts(ALERTS, {}, silentLogger, SEND_OPTIONS), []);
+});
+
+test('webhook sink posts the text and the raw alerts', async () => {
+    const sink = await startStubServer(() => ({ status: 204 }));
+
+    try {
+        const failed = await sendAlerts(ALERTS, { ALERT_WEBHOOK_URL: `${sink.url}/hook` }, silentLogger, SEND_OPTIONS);
+        assert.deepStrictEqual(failed, []);
+        assert.strictEqual(sink.requests.length, 1);
+
+        const [request] = sink.requests;
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.url, '/hook');
+        assert.strictEqual(request.headers['content-type'], 'application/json');
+        assert.strictEqual(request.json.text, [
+            'WOO balance alert',
+            'Arbitrum: +2,000,000 WOO (+20.00%)',
+            'BSC: -2,000,000 WOO (-25.00%)'
+        ].join('\n'));
+        assert.deepStrictEqual(request.json.alerts, ALERTS);
+    } finally {
+        await sink.close();
+    }
+});
+
+test('telegram sink sends an escaped HTML message to the bot API', async () => {
+    const api = await startStubServer(() => ({ json: { ok: true } }));
+    const alerts = [chainAlert('<Mantle>', 1000000, 3000000), { ...chainAlert('Solana', 0, 5000000), explorerUrl: null }];
+
+    try {
+        const failed = await sendAlerts(alerts, {
+            ALERT_TELEGRAM_BOT_TOKEN: '123:abc',
+            ALERT_TELEGRAM_CHAT_ID: '-10042',
+            TELEGRAM_API_BASE_URL: api.url
+        }, silentLogger, SEND_OPTIONS);
+        assert.deepStrictEqual(failed, []);
+
+        const [request] = api.requests;
+        assert.strictEqual(request.url, '/bot123:abc/sendMessage');
+        assert.deepStrictEqual(request.json, {
+            chat_id: '-10042',
+            text: [
+                '<b>WOO balance alert</b>',
+                '• <a href="https://explorer.test/&lt;mantle&gt;">&lt;Mantle&gt;: +2,000,000 WOO (+200.00%)</a>',
+                '• Solana: +5,000,000 WOO'
+            ].join('\n'),
+            parse_mode: 'HTML',
+            disable_web_page_preview: true
+        });
+    } finally {
+        await api.close();
+    }
+});
+
+test('discord sink splits more than 10 alerts into several messages', async () => {
+    const sink = await startStubServer(() => ({ status: 204 }));
+    const alerts = Array.from({ length: 12 }, (_, i) => chainAlert(`Chain${i}`, 1000000, 1000000 + (i % 2 ? -1 : 1) * 500000));
+
+    try {
+        await sendAlerts(alerts, { ALERT_DISCORD_WEBHOOK_URL: sink.url }, silentLogger, SEND_OPTIONS);
+        assert.strictEqual(sink.requests.length, 2);
+
+        const [first, second] = sink.requests.map(request => request.json);
+        assert.strictEqual(first.content, '**WOO balance alert**');
+        assert.strictEqual(first.embeds.length, 10);
+        assert.strictEqual(second.content, undefined);
+        assert.deepStrictEqual(second.embeds.map(embed => embed.title), ['Chain10', 'Chain11']);
+
+        assert.deepStrictEqual(first.embeds[1], {
+            title: 'Chain1',
+            url: 'https://explorer.test/chain1',
+            color: 0xff6b6b,
+            fields: [
+                { name: 'Change', value: '-500,000 WOO', inline: true },
+                { name: '%', value: '-50.00%', inline: true },
+                { name: 'Previous', value: '1,000,000 WOO', inline: true },
+                { name: 'Current', value: '500,000 WOO', inline: true }
+            ]
+        });
+        assert.strictEqual(first.embeds[0].color, 0x4ade80);
+    } finally {
+        await sink.close();
+    }
+});
+
+test('discord sink retries a failed chunk without re-posting the ones already sent', async () => {
+    let calls = 0;
+    const sink = await startStubServer(() => {
+        calls++;
+        // The second message fails once
+        return calls === 2 ? { status: 500, body: 'oops' } : { status: 204 };
+    });
+    const alerts = Array.from({ length: 15 }, (_, i) => chainAlert(`Chain${i}`, 1000000, 2000000));
+
+    try {
+        const failed = await sendAlerts(alerts, { ALERT_DISCORD_WEBHOOK_URL: sink.url }, silentLogger, SEND_OPTIONS);
+        assert.deepStrictEqual(failed, []);
+
+        const firstTitles = sink.requests.map(request => request.json.embeds[0].title);
+        assert.deepStrictEqual(firstTitles, ['Chain0', 'Chain10', 'Chain10']);
+    } finally {
+        await sink.close();
+    }
+});
+
+test('a failing sink is reported and does not stop the others', async () => {
+    const down = await startStubServer(() => ({ status: 503, body: 'unavailable' }));
+    const discord = await startStubServer(() => ({ status: 204 }));
+    const errors = [];
+    const logger = { ...silentLogger, error: message => errors.push(message) };
+
+    try {
+        const failed = await sendAlerts(ALERTS, {
+            ALERT_WEBHOOK_URL: down.url,
+            ALERT_DISCORD_WEBHOOK_URL: discord.url
+        }, logger, SEND_OPTIONS);
+
+        assert.deepStrictEqual(failed, ['webhook']);
+        assert.strictEqual(down.requests.length, 3);
+        assert.strictEqual(discord.requests.length, 1);
+        assert.match(errors[0], /webhook: HTTP 503/);
+    } finally {
+        await down.close();
+        await discord.close();
+    }
+});
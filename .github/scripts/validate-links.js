@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SITE_ROOT = path.join(__dirname, '../../woo-quick-links');
+const LINKS_PATH = path.join(SITE_ROOT, 'data/links.json');
+const SCHEMA_PATH = path.join(SITE_ROOT, 'data/links.schema.json');
+const CATEGORIES_PATH = path.join(SITE_ROOT, 'data/categories.json');
+const CATEGORIES_SCHEMA_PATH = path.join(SITE_ROOT, 'data/categories.schema.json');
+const CHAINS_PATH = path.join(SITE_ROOT, 'data/chains.json');
+
+// Fields a link needs to render as a row in a distribution-table category
+const DISTRIBUTION_REQUIRED_FIELDS = ['chain', 'contractAddress'];
+
+// Contract address formats by chain type (chain types without an entry are not checked)
+const ADDRESS_PATTERNS = {
+    evm: /^0x[0-9a-fA-F]{40}$/,
+    solana: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+};
+
+/**
+ * Formats an Ajv error as "links[3].url: must match pattern ..."
+ * @param {Object} error - Ajv error object
+ * @param {string} rootName - Name of the validated array, e.g. 'links'
+ * @returns {string} Readable message
+ */
+function formatSchemaError(error, rootName) {
+    const location = error.instancePath
+        .replace(/^\/(\d+)/, `${rootName}[$1]`)
+        .replace(/\//g, '.');
+    let detail = '';
+    if (error.params.allowedValues) {
+        detail = ` (${error.params.allowedValues.join(', ')})`;
+    } else if (error.params.additionalProperty) {
+        detail = `: "${error.params.additionalProperty}"`;
+    }
+    return `${location || rootName}: ${error.message}${detail}`;
+}
+
+/**
+ * Validates data against a JSON Schema
+ * @param {*} data - Parsed JSON
+ * @param {Object} schema - Parsed JSON Schema
+ * @param {string} rootName - Name used in error locations
+ * @returns {Array<string>} Error messages
+ */
+function checkSchema(data, schema, rootName) {
+    const validate = new Ajv({ allErrors: true }).compile(schema);
+    return validate(data) ? [] : validate.errors.map(error => formatSchemaError(error, rootName));
+}
+
+/**
+ * Validates categories.json against its schema and checks ids are unique
+ * @param {Array} categories - Parsed categories.json
+ * @param {Object} schema - Parsed categories.schema.json
+ * @returns {Array<string>} Error messages, empty when valid
+ */
+function validateCategories(categories, schema) {
+    const errors = checkSchema(categories, schema, 'categories');
+    if (!Array.isArray(categories)) {
+        return errors;
+    }
+
+    const seenIds = new Set();
+    categories.forEach((category, index) => {
+        if (seenIds.has(category.id)) {
+            errors.push(`categories[${index}] (${category.id}): duplicate id`);
+        }
+        seenIds.add(category.id);
+    });
+
+    return errors;
+}
+
+/**
+ * Checks the parts of each link the schema cannot express: image files on
+ * disk, duplicate names, known categories, and distribution-table entries
+ * matching the chain registry
+ * @param {Array} links - Parsed links.json
+ * @param {Array} categories - Parsed categories.json
+ * @param {Array} chains - Parsed chains.json
+ * @returns {Array<string>} Error messages
+ */
+function checkLinkReferences(links, categories, chains) {
+    const errors = [];
+    const seenNames = new Set();
+
+    links.forEach((link, index) => {
+        const location = `links[${index}] (${link.name})`;
+
+        if (seenNames.has(link.name)) {
+            errors.push(`${location}: duplicate name`);
+        }
+        seenNames.add(link.name);
+
+        if (typeof link.image === 'string' && !fs.existsSync(path.join(SITE_ROOT, link.image))) {
+            errors.push(`${location}: image not found: ${link.image}`);
+        }
+
+        const category = categories.find(entry => entry.id === link.category);
+        if (!category) {
+            const known = categories.map(entry => entry.id).join(', ');
+            errors.push(`${location}: unknown category "${link.category}" (expected one of ${known})`);
+            return;
+        }
+
+        if (category.render !== 'distribution-table') {
+            return;
+        }
+
+        const missingFields = DISTRIBUTION_REQUIRED_FIELDS.filter(field => !link[field]);
+        if (missingFields.length > 0) {
+            errors.push(`${location}: missing ${missingFields.join(', ')} (required in ${category.id})`);
+            return;
+        }
+
+        const chain = chains.find(entry => entry.id === link.chain);
+        if (!chain) {
+            errors.push(`${location}: unknown chain "${link.chain}" (not in chains.json)`);
+            return;
+        }
+
+        const pattern = ADDRESS_PATTERNS[chain.type];
+        if (pattern && !pattern.test(link.contractAddress || '')) {
+            errors.push(`${location}: invalid ${chain.type} contract address: ${link.contractAddress}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates links against links.schema.json, the categories and the chain registry
+ * @param {Array} links - Parsed links.json
+ * @param {Object} schema - Parsed links.schema.json
+ * @param {Array} categories - Parsed categories.json
+ * @param {Array} chains - Parsed chains.json
+ * @returns {Array<string>} Error messages, empty when valid
+ */
+function validateLinks(links, schema, categories, chains) {
+    const schemaErrors = checkSchema(links, schema, 'links');
+    if (!Array.isArray(links) || !Array.isArray(categories)) {
+        return schemaErrors;
+    }
+
+    return [...schemaErrors, ...checkLinkReferences(links, categories, chains)];
+}
+
+/**
+ * Reads and parses a JSON file, naming the file in parse errors
+ * @param {string} filePath - Path to the JSON file
+ * @returns {*} Parsed JSON
+ */
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${path.relative(process.cwd(), filePath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Prints the result for one file
+ * @param {string} filePath - Validated file
+ * @param {Array<string>} errors - Error messages
+ * @returns {boolean} True when the file is valid
+ */
+function report(filePath, errors) {
+    const name = path.relative(process.cwd(), filePath);
+    if (errors.length > 0) {
+        console.error(`❌ ${name} has ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        return false;
+    }
+
+    console.log(`✅ ${name} is valid`);
+    return true;
+}
+
+/**
+ * Validates categories.json and links.json (or the links file given as the
+ * first argument) and exits non-zero when either has errors
+ */
+function main() {
+    const linksPath = process.argv[2] ? path.resolve(process.argv[2]) : LINKS_PATH;
+    const categories = readJSON(CATEGORIES_PATH);
+
+    const categoriesValid = report(
+        CATEGORIES_PATH,
+        validateCategories(categories, readJSON(CATEGORIES_SCHEMA_PATH))
+    );
+    const linksValid = report(
+        linksPath,
+        validateLinks(readJSON(linksPath), readJSON(SCHEMA_PATH), categories, readJSON(CHAINS_PATH))
+    );
+
+    if (!categoriesValid || !linksValid) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { validateLinks, validateCategories };
@@ -1,29 +1,169 @@
 // Import API functions
-import { fetchWOOMetrics, formatNumber, formatCurrency } from './js/api.js';
-
-// Array of WOO-related links (loaded from JSON)
+import { fetchWOOMetrics, fetchHolderData, fetchDataFile, getLastKnownMetrics, getPublicApiUrl } from './js/api.js';
+import {
+    formatNumber,
+    formatPercent,
+    formatPercentChange,
+    formatTimeAgo
+} from './js/format.js';
+import {
+    SUPPORTED_CURRENCIES,
+    SUPPORTED_LANGUAGES,
+    getCurrency,
+    setCurrency,
+    getLanguage,
+    setLanguage,
+    getLocale
+} from './js/preferences.js';
+import { t, localize, getLinkName, orderByLanguage, applyTranslations } from './js/i18n.js';
+import { readViewState, writeViewState } from './js/url-state.js';
+import { filterValidLinks } from './js/link-validation.js';
+import { renderStatCards } from './js/stats-view.js';
+import { createDistributionChart, createDistributionDataTable, DEFAULT_CHAIN_COLOR } from './js/distribution-chart.js';
+import { searchLinks, renderHighlightedText } from './js/search.js';
+import { initializeCommandPalette, getPaletteShortcutLabel } from './js/command-palette.js';
+import {
+    getFavorites,
+    isFavorite,
+    toggleFavorite,
+    getCustomLinks,
+    addCustomLink,
+    removeCustomLink,
+    exportUserLinks,
+    importUserLinks
+} from './js/user-links.js';
+
+// Validated entries from links.json
+let siteLinks = [];
+
+// Site links followed by this browser's custom links; everything renders from this
 let wooLinks = [];
 
+// Sections and filter buttons, in display order (loaded from JSON)
+let categories = [];
+
+// Text in the search box; while set, the grid lists matches instead of sections
+let searchQuery = '';
+
+// Daily balance snapshots (loaded from JSON)
+let balanceHistory = [];
+
+// Labelled treasury, vesting, bridge and burn holders (loaded from JSON)
+let holderData = null;
+
+// Last link health report (see .github/scripts/check-links.js), by link URL
+let linkHealth = new Map();
+let linkHealthCheckedAt = null;
+
+// Timer that keeps the "last updated" label current
+let statsFreshnessTimer = null;
+
+// Metrics shown in the stats bar; their API total supply feeds the reconciliation panel
+let latestMetrics = null;
+
+// Chart.js instances in the links grid, destroyed before the grid is rebuilt
+let activeCharts = [];
+
+// How often the "last updated" label is refreshed
+const FRESHNESS_UPDATE_INTERVAL = 30 * 1000;
+
+// Gap between clearing and filling the live region, so screen readers notice the change
+const LIVE_REGION_DELAY = 100;
+
+// Unaccounted supply, as a percentage of the API total, above which the
+// reconciliation panel warns that the figures disagree
+const RECONCILIATION_TOLERANCE_PCT = 0.5;
+
+// Labels shown on the language toggle, in the language they name
+const LANGUAGE_TOGGLE_LABELS = {
+    en: 'EN',
+    zh: '中文'
+};
+
+// Chain registry shared with the balance fetcher (loaded from JSON)
+let chainRegistry = [];
+
+// Card image shown when a link's image fails to load
+const FALLBACK_CARD_IMAGE = 'assets/woo-token.svg';
+
+// Selectable ranges for the balance trend chart (in days)
+const HISTORY_RANGES = [7, 30, 90];
+
+// Active category filter, Distribution table sort and text filter (mirrored in the URL)
+let viewState = readViewState();
+
+// Value used to sort the Distribution table by each sortable column
+const EXPLORER_SORT_VALUES = {
+    name: (link) => link.name.toLowerCase(),
+    address: (link) => (link.contractAddress || '').toLowerCase(),
+    balance: (link) => link.tokenBalance || 0,
+    percentage: (link) => link.tokenBalance || 0,
+    change: (link) => {
+        const change = getBalanceChange(link);
+        return change ? change.absolute : -Infinity;
+    }
+};
+
 /**
- * Loads links from JSON file
- * @returns {Promise<Array>} - Array of link objects
+ * Loads one of the data files, falling back when it is unavailable
+ * @param {string} fileName - File in data/, e.g. 'links.json'
+ * @param {*} fallback - Value returned when the file cannot be loaded
+ * @param {Object} options - { required } when the page cannot place any link without the file
+ * @returns {Promise<*>} - Parsed JSON, or the fallback
  */
-async function loadLinks() {
+async function loadDataFile(fileName, fallback, { required = false } = {}) {
     try {
-        const response = await fetch('data/links.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const links = await response.json();
-        return links;
+        return await fetchDataFile(fileName);
     } catch (error) {
-        console.error('Error loading links:', error);
-        // Show error message to user
-        showError('Failed to load links. Please refresh the page.');
-        return [];
+        console.error(`Error loading ${fileName}:`, error);
+        if (required) {
+            showError(t('links.loadFailed'));
+        }
+        return fallback;
     }
 }
 
+/**
+ * Greys out a card or table row when the last health check found its link broken
+ * @param {HTMLElement} element - Card or row element
+ * @param {Object} link - Link object
+ */
+function markBrokenLink(element, link) {
+    const health = linkHealth.get(link.url);
+    if (!health || health.status !== 'broken') return;
+
+    element.classList.add('broken');
+    element.title = t('health.broken', {
+        date: new Date(linkHealthCheckedAt).toLocaleDateString(getLocale()),
+        problems: health.problems.join(', ')
+    });
+}
+
+/**
+ * Reads a status message out to screen readers through the page's live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    const region = document.getElementById('live-region');
+    if (!region) return;
+
+    // Clear first so repeating the same message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, LIVE_REGION_DELAY);
+}
+
+/**
+ * Looks up the registry color for an explorer link's chain
+ * @param {Object} link - Explorer link object with a chain id
+ * @returns {string} - Hex color
+ */
+function getChainColor(link) {
+    const chain = chainRegistry.find(entry => entry.id === link.chain);
+    return chain ? chain.color : DEFAULT_CHAIN_COLOR;
+}
+
 /**
  * Displays an error message to the user
  * @param {string} message - Error message to display
@@ -34,7 +174,7 @@ function showError(message) {
         <div style="grid-column: 1 / -1; text-align: center; padding: 40px; color: #888;">
             <p style="font-size: 1.2rem; margin-bottom: 16px;">${message}</p>
             <button onclick="location.reload()" style="padding: 10px 20px; background: #00A9DE; border: none; border-radius: 6px; color: white; font-family: 'IBM Plex Sans', sans-serif; cursor: pointer;">
-                Retry
+                ${t('common.retry')}
             </button>
         </div>
     `;
@@ -64,16 +204,16 @@ function getImageClass(imagePath, url) {
 /**
  * Creates a link card element
  * @param {Object} link - Link object with name, url, image, and category properties
+ * @param {Object} match - Search match from searchLinks, to highlight what matched
  * @returns {HTMLElement} - The card element
  */
-function createLinkCard(link) {
-    // Create the main card element (anchor tag for clickability)
-    const card = document.createElement('a');
+function createLinkCard(link, match = null) {
+    // Create the main card element; the title link stretches over it so the
+    // whole card stays clickable without nesting the action buttons in a link
+    const card = document.createElement('div');
     card.className = 'link-card';
-    card.href = link.url;
-    card.target = '_blank'; // Open in new tab
-    card.rel = 'noopener noreferrer'; // Security best practice for target="_blank"
     card.setAttribute('data-category', link.category); // Add category data attribute for styling
+    card.dataset.url = link.url; // Lets favorite toggles find every card for this link
 
     // Create image element
     const img = document.createElement('img');
@@ -81,36 +221,219 @@ function createLinkCard(link) {
     const imageClass = getImageClass(link.image, link.url);
     img.className = imageClass ? `card-image ${imageClass}` : 'card-image';
     img.src = link.image;
-    img.alt = link.name;
+    img.alt = ''; // Decorative: the title link already names the card
     img.loading = 'lazy'; // Lazy load images for better performance
-
-    // Create title element
-    const title = document.createElement('div');
+    // Fall back to the WOO token logo when the image file is missing
+    img.addEventListener('error', () => {
+        console.warn(`Image not found for "${link.name}": ${link.image}`);
+        img.className = 'card-image svg-logo';
+        img.src = FALLBACK_CARD_IMAGE;
+    }, { once: true });
+
+    // Create title element, which is the card's link
+    const title = document.createElement('a');
     title.className = 'card-title';
-    title.textContent = link.name;
+    title.href = link.url;
+    title.target = '_blank'; // Open in new tab
+    title.rel = 'noopener noreferrer'; // Security best practice for target="_blank"
+    renderHighlightedText(title, getLinkName(link), match ? match.nameRanges : []);
 
     // Assemble the card
     card.appendChild(img);
     card.appendChild(title);
+    card.appendChild(createCardActions(link));
+    markBrokenLink(card, link);
+
+    // Show the tag, category or address that matched when it was not the name
+    if (match && match.field !== 'name') {
+        const matchedText = document.createElement('div');
+        matchedText.className = 'card-match';
+        renderHighlightedText(matchedText, match.text, match.ranges);
+        card.appendChild(matchedText);
+    }
 
     return card;
 }
 
 /**
- * Renders all link cards to the grid
+ * Creates a card action button, which sits above the card's stretched link
+ * @param {string} className - Extra class name
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label and tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} - The button element
  */
-function renderLinks() {
-    // Get the grid container
+function createCardActionButton(className, text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `card-action ${className}`;
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Shows a link's favorite state on its star button
+ * @param {HTMLElement} button - Star button
+ * @param {Object} link - Link object
+ * @param {boolean} favorite - Whether the link is a favorite
+ */
+function setFavoriteButtonState(button, link, favorite) {
+    const label = t(favorite ? 'favorites.remove' : 'favorites.add', { name: getLinkName(link) });
+    button.classList.toggle('active', favorite);
+    button.textContent = favorite ? '★' : '☆';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.setAttribute('aria-pressed', favorite ? 'true' : 'false');
+}
+
+/**
+ * Creates the favorite star, plus a remove button for custom links
+ * @param {Object} link - Link object
+ * @returns {HTMLElement} - Container with the card's action buttons
+ */
+function createCardActions(link) {
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+
+    const starButton = createCardActionButton('favorite-btn', '', '', () => {
+        updateFavorite(link, toggleFavorite(link), starButton);
+    });
+    setFavoriteButtonState(starButton, link, isFavorite(link));
+    actions.appendChild(starButton);
+
+    if (link.custom) {
+        actions.appendChild(createCardActionButton(
+            'remove-btn',
+            '✕',
+            t('customLinks.remove', { name: getLinkName(link) }),
+            () => {
+                if (window.confirm(t('customLinks.confirmRemove', { name: getLinkName(link) }))) {
+                    removeCustomLink(link, categories);
+                    refreshLinkList();
+                }
+            }
+        ));
+    }
+
+    return actions;
+}
+
+/**
+ * Returns the favorited links in the order they were starred
+ * @returns {Array} - Link objects
+ */
+function getFavoriteLinks() {
+    return getFavorites()
+        .map(url => wooLinks.find(link => link.url === url))
+        .filter(Boolean);
+}
+
+/**
+ * Builds the Favorites header and cards shown at the top of the "All" view
+ * @returns {Array<HTMLElement>} - Section elements, empty when nothing is starred
+ */
+function createFavoritesSection() {
+    const favoriteLinks = getFavoriteLinks();
+    if (favoriteLinks.length === 0) return [];
+
+    const elements = [
+        createSectionHeader(t('favorites.title'), '★'),
+        ...favoriteLinks.map(link => createLinkCard(link))
+    ];
+    elements.forEach(element => element.setAttribute('data-favorites', ''));
+    return elements;
+}
+
+/**
+ * Reflects a favorite toggle in the current view without re-rendering it, so
+ * focus, the Distribution filter and the charts are left alone
+ * @param {Object} link - Link that was starred or un-starred
+ * @param {boolean} favorite - Whether the link is now a favorite
+ * @param {HTMLElement} clickedButton - Star button that was clicked
+ */
+function updateFavorite(link, favorite, clickedButton) {
     const grid = document.getElementById('links-grid');
+    const linkCards = () => [...grid.querySelectorAll('.link-card')].filter(card => card.dataset.url === link.url);
+
+    linkCards().forEach(card => {
+        setFavoriteButtonState(card.querySelector('.favorite-btn'), link, favorite);
+    });
+
+    // Only the "All" view has a Favorites section
+    const showsFavorites = !searchQuery.trim() && !categories.some(category => category.id === viewState.filter);
+    if (!showsFavorites) return;
+
+    grid.querySelectorAll('[data-favorites]').forEach(element => element.remove());
+    grid.prepend(...createFavoritesSection());
 
-    // Clear existing content (if any)
+    // Un-starring from the Favorites section removes the clicked card; move
+    // focus to the same link's star in its own section
+    if (!clickedButton.isConnected) {
+        const card = linkCards()[0];
+        if (card) card.querySelector('.favorite-btn').focus();
+    }
+}
+
+/**
+ * Empties the links grid, releasing any charts drawn in it
+ * @returns {HTMLElement} - The links grid
+ */
+function clearLinksGrid() {
+    activeCharts.forEach(chart => chart.destroy());
+    activeCharts = [];
+
+    const grid = document.getElementById('links-grid');
     grid.innerHTML = '';
+    return grid;
+}
 
-    // Create and append a card for each link
-    wooLinks.forEach(link => {
-        const card = createLinkCard(link);
-        grid.appendChild(card);
-    });
+/**
+ * Moves favorited links ahead of the others, keeping the order within each group
+ * @param {Array} links - Link objects
+ * @returns {Array} - New array with favorites first
+ */
+function orderByFavorite(links) {
+    return [
+        ...links.filter(link => isFavorite(link)),
+        ...links.filter(link => !isFavorite(link))
+    ];
+}
+
+/**
+ * Calculates the balance change since the previous daily snapshot
+ * @param {Object} link - Link object with tokenBalance and previousTokenBalance
+ * @returns {Object|null} - { absolute, percent } or null when no previous value exists
+ */
+function getBalanceChange(link) {
+    if (typeof link.tokenBalance !== 'number' || typeof link.previousTokenBalance !== 'number') {
+        return null;
+    }
+
+    const absolute = link.tokenBalance - link.previousTokenBalance;
+    const percent = link.previousTokenBalance > 0
+        ? (absolute / link.previousTokenBalance) * 100
+        : null;
+
+    return { absolute, percent };
+}
+
+/**
+ * Formats a signed balance change, e.g. "+1.20M (+0.5%)"
+ * @param {Object} change - Change object from getBalanceChange
+ * @returns {string} - Formatted change
+ */
+function formatBalanceChange(change) {
+    const sign = change.absolute > 0 ? '+' : change.absolute < 0 ? '-' : '';
+    const absolute = `${sign}${formatNumber(Math.abs(change.absolute))}`;
+
+    if (change.percent === null) {
+        return absolute;
+    }
+
+    return `${absolute} (${formatPercentChange(change.percent, 1)})`;
 }
 
 /**
@@ -120,34 +443,39 @@ function renderLinks() {
  * @returns {HTMLElement} - The table row element
  */
 function createExplorerRow(link, totalSupply) {
-    const row = document.createElement('a');
+    const row = document.createElement('div');
     row.className = 'explorer-row';
-    row.href = link.url;
-    row.target = '_blank';
-    row.rel = 'noopener noreferrer';
+    row.setAttribute('role', 'row');
     row.setAttribute('data-category', link.category);
 
-    // Network icon
+    // Network icon (decorative, hidden like its column header)
     const iconCell = document.createElement('div');
     iconCell.className = 'explorer-icon';
+    iconCell.setAttribute('aria-hidden', 'true');
     const icon = document.createElement('img');
     icon.src = link.image;
-    icon.alt = link.name;
+    icon.alt = '';
     iconCell.appendChild(icon);
 
-    // Network name
+    // Network name, linking to the explorer; the link stretches over the row
     const nameCell = document.createElement('div');
     nameCell.className = 'explorer-name';
-    nameCell.textContent = link.name;
+    nameCell.setAttribute('role', 'cell');
+    const nameLink = document.createElement('a');
+    nameLink.className = 'explorer-link';
+    nameLink.href = link.url;
+    nameLink.target = '_blank';
+    nameLink.rel = 'noopener noreferrer';
+    nameLink.textContent = link.name;
+    nameCell.appendChild(nameLink);
 
     // Contract address
     const addressCell = document.createElement('div');
     addressCell.className = 'explorer-address';
+    addressCell.setAttribute('role', 'cell');
     if (link.contractAddress) {
         // Shorten address for display (first 6 + last 4 characters)
-        const shortAddress = link.contractAddress.length > 12
-            ? `${link.contractAddress.slice(0, 6)}...${link.contractAddress.slice(-4)}`
-            : link.contractAddress;
+        const shortAddress = shortenAddress(link.contractAddress);
 
         // Create address text span
         const addressText = document.createElement('span');
@@ -156,18 +484,17 @@ function createExplorerRow(link, totalSupply) {
 
         // Create copy button
         const copyBtn = document.createElement('button');
+        copyBtn.type = 'button';
         copyBtn.className = 'copy-btn';
         copyBtn.innerHTML = '📋';
-        copyBtn.title = 'Copy address';
-        copyBtn.setAttribute('aria-label', 'Copy contract address');
-
-        // Add click handler for copying
-        copyBtn.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
+        copyBtn.title = t('table.copyAddress');
+        copyBtn.setAttribute('aria-label', t('table.copyContractAddress', { name: link.name }));
 
+        // Add click handler for copying; the icon change is announced through the live region
+        copyBtn.addEventListener('click', async () => {
             try {
                 await navigator.clipboard.writeText(link.contractAddress);
+                announce(t('table.copiedAddress', { name: link.name }));
                 copyBtn.innerHTML = '✓';
                 copyBtn.classList.add('copied');
 
@@ -177,6 +504,7 @@ function createExplorerRow(link, totalSupply) {
                 }, 2000);
             } catch (err) {
                 console.error('Failed to copy:', err);
+                announce(t('table.copyFailed'));
                 copyBtn.innerHTML = '✗';
                 setTimeout(() => {
                     copyBtn.innerHTML = '📋';
@@ -194,14 +522,41 @@ function createExplorerRow(link, totalSupply) {
     // Token balance
     const balanceCell = document.createElement('div');
     balanceCell.className = 'explorer-balance';
+    balanceCell.setAttribute('role', 'cell');
     balanceCell.textContent = link.tokenBalance ? formatNumber(link.tokenBalance) : '-';
+    if (link.balanceStale) {
+        // Every RPC failed on the last update, so this is the last known good value
+        balanceCell.classList.add('stale');
+        balanceCell.title = link.balanceUpdatedAt
+            ? t('table.lastKnownFrom', { date: new Date(link.balanceUpdatedAt).toLocaleString(getLocale()) })
+            : t('table.lastKnown');
+    }
+
+    // Change since the previous daily snapshot
+    const changeCell = document.createElement('div');
+    changeCell.className = 'explorer-change';
+    changeCell.setAttribute('role', 'cell');
+    const change = getBalanceChange(link);
+    if (change) {
+        changeCell.textContent = formatBalanceChange(change);
+        if (change.absolute > 0) {
+            changeCell.classList.add('positive');
+        } else if (change.absolute < 0) {
+            changeCell.classList.add('negative');
+        }
+        if (link.previousBalanceAt) {
+            changeCell.title = t('table.since', { date: new Date(link.previousBalanceAt).toLocaleString(getLocale()) });
+        }
+    } else {
+        changeCell.textContent = '-';
+    }
 
     // Percentage of circulating supply
     const percentageCell = document.createElement('div');
     percentageCell.className = 'explorer-percentage';
+    percentageCell.setAttribute('role', 'cell');
     if (link.tokenBalance && totalSupply > 0) {
-        const percentage = ((link.tokenBalance / totalSupply) * 100).toFixed(1);
-        percentageCell.textContent = `${percentage}%`;
+        percentageCell.textContent = formatPercent((link.tokenBalance / totalSupply) * 100);
     } else {
         percentageCell.textContent = '-';
     }
@@ -211,11 +566,294 @@ function createExplorerRow(link, totalSupply) {
     row.appendChild(nameCell);
     row.appendChild(addressCell);
     row.appendChild(balanceCell);
+    row.appendChild(changeCell);
     row.appendChild(percentageCell);
+    markBrokenLink(row, link);
 
     return row;
 }
 
+/**
+ * Sorts explorer links by the given column
+ * @param {Array} explorerLinks - Array of explorer link objects
+ * @param {string} key - Column key from EXPLORER_SORT_VALUES
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} - New sorted array
+ */
+function sortExplorers(explorerLinks, key, direction) {
+    const getValue = EXPLORER_SORT_VALUES[key] || EXPLORER_SORT_VALUES.balance;
+    const factor = direction === 'asc' ? 1 : -1;
+
+    return [...explorerLinks].sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        const comparison = typeof valueA === 'string'
+            ? valueA.localeCompare(valueB)
+            : valueA - valueB;
+        return comparison * factor;
+    });
+}
+
+/**
+ * Checks whether an explorer link matches the text filter
+ * @param {Object} link - Explorer link object
+ * @param {string} query - Text to match against network name or contract address
+ * @returns {boolean} - True if the link matches
+ */
+function matchesExplorerQuery(link, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return true;
+
+    return link.name.toLowerCase().includes(needle) ||
+        (link.contractAddress || '').toLowerCase().includes(needle);
+}
+
+/**
+ * Creates the "Download CSV" and "Copy JSON" buttons for the published
+ * distribution files in api/v1
+ * @returns {HTMLElement} Button group
+ */
+function renderDistributionExports() {
+    const group = document.createElement('div');
+    group.className = 'explorer-exports';
+
+    const downloadLink = document.createElement('a');
+    downloadLink.className = 'explorer-export-btn';
+    downloadLink.href = getPublicApiUrl('distribution.csv');
+    downloadLink.download = 'woo-distribution.csv';
+    downloadLink.textContent = t('table.downloadCsv');
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'explorer-export-btn';
+    copyButton.textContent = t('table.copyJson');
+
+    copyButton.addEventListener('click', async () => {
+        try {
+            const response = await fetch(getPublicApiUrl('distribution.json'));
+            if (!response.ok) {
+                throw new Error(`Failed to fetch distribution.json: ${response.status}`);
+            }
+            await navigator.clipboard.writeText(await response.text());
+            copyButton.textContent = t('table.copiedJson');
+            copyButton.classList.add('copied');
+            announce(t('table.copiedJsonStatus'));
+        } catch (err) {
+            console.error('Failed to copy:', err);
+            copyButton.textContent = t('table.copyFailed');
+            announce(t('table.copyFailed'));
+        }
+
+        setTimeout(() => {
+            copyButton.textContent = t('table.copyJson');
+            copyButton.classList.remove('copied');
+        }, 2000);
+    });
+
+    group.appendChild(downloadLink);
+    group.appendChild(copyButton);
+    return group;
+}
+
+/**
+ * Renders the Distribution table with sortable column headers
+ * @param {Array} explorerLinks - Array of explorer link objects
+ * @returns {HTMLElement} - The table container element
+ */
+function renderExplorerTable(explorerLinks) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'explorer-table-wrapper';
+
+    // Text filter on network name or contract address
+    const toolbar = document.createElement('div');
+    toolbar.className = 'explorer-toolbar';
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'explorer-search';
+    searchInput.placeholder = t('table.filterPlaceholder');
+    searchInput.setAttribute('aria-label', t('table.filterLabel'));
+    searchInput.value = viewState.query;
+    toolbar.appendChild(searchInput);
+    toolbar.appendChild(renderDistributionExports());
+    wrapper.appendChild(toolbar);
+
+    // Laid out with CSS grid, so the table semantics come from ARIA roles
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'explorer-table';
+    tableContainer.setAttribute('role', 'table');
+    tableContainer.setAttribute('aria-label', t('table.label'));
+    wrapper.appendChild(tableContainer);
+
+    // Add table header; each sortable column has a button so sorting works from the keyboard
+    const headerRow = document.createElement('div');
+    headerRow.className = 'explorer-header';
+    headerRow.setAttribute('role', 'row');
+    headerRow.innerHTML = `
+        <div class="explorer-icon-header" aria-hidden="true"></div>
+        <div class="explorer-name-header sortable" role="columnheader" data-sort="name"><button type="button" class="sort-btn">${t('table.network')}</button></div>
+        <div class="explorer-address-header sortable" role="columnheader" data-sort="address"><button type="button" class="sort-btn">${t('table.contract')}</button></div>
+        <div class="explorer-balance-header sortable" role="columnheader" data-sort="balance"><button type="button" class="sort-btn">${t('table.quantity')}</button></div>
+        <div class="explorer-change-header sortable" role="columnheader" data-sort="change"><button type="button" class="sort-btn">${t('table.change24h')}</button></div>
+        <div class="explorer-percentage-header sortable" role="columnheader" data-sort="percentage"><button type="button" class="sort-btn">${t('table.percentOfSupply')}</button></div>
+    `;
+    tableContainer.appendChild(headerRow);
+
+    // Calculate total supply for percentage
+    const totalSupply = explorerLinks.reduce((sum, link) => sum + (link.tokenBalance || 0), 0);
+
+    const sortableHeaders = headerRow.querySelectorAll('.sortable');
+
+    const renderRows = () => {
+        // Remove previous rows but keep the header
+        tableContainer.querySelectorAll('.explorer-row, .explorer-empty').forEach(row => row.remove());
+
+        sortableHeaders.forEach(header => {
+            const isActive = header.getAttribute('data-sort') === viewState.sortKey;
+            header.classList.toggle('sorted-asc', isActive && viewState.sortDirection === 'asc');
+            header.classList.toggle('sorted-desc', isActive && viewState.sortDirection === 'desc');
+            if (isActive) {
+                header.setAttribute('aria-sort', viewState.sortDirection === 'asc' ? 'ascending' : 'descending');
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+        });
+
+        const visibleExplorers = explorerLinks.filter(link => matchesExplorerQuery(link, viewState.query));
+
+        if (visibleExplorers.length === 0) {
+            const emptyRow = document.createElement('div');
+            emptyRow.className = 'explorer-empty';
+            emptyRow.setAttribute('role', 'row');
+            const emptyCell = document.createElement('div');
+            emptyCell.setAttribute('role', 'cell');
+            emptyCell.textContent = t('table.noMatches');
+            emptyRow.appendChild(emptyCell);
+            tableContainer.appendChild(emptyRow);
+            return;
+        }
+
+        sortExplorers(visibleExplorers, viewState.sortKey, viewState.sortDirection).forEach(link => {
+            tableContainer.appendChild(createExplorerRow(link, totalSupply));
+        });
+    };
+
+    // Clicking a header sorts by it; clicking the active header flips direction
+    sortableHeaders.forEach(header => {
+        header.addEventListener('click', () => {
+            const key = header.getAttribute('data-sort');
+            if (viewState.sortKey === key) {
+                viewState.sortDirection = viewState.sortDirection === 'asc' ? 'desc' : 'asc';
+            } else {
+                // Text columns start A-Z, numeric columns start with the largest value
+                viewState.sortKey = key;
+                viewState.sortDirection = key === 'name' || key === 'address' ? 'asc' : 'desc';
+            }
+            writeViewState(viewState);
+            renderRows();
+        });
+    });
+
+    searchInput.addEventListener('input', () => {
+        viewState.query = searchInput.value;
+        writeViewState(viewState);
+        renderRows();
+    });
+
+    renderRows();
+
+    return wrapper;
+}
+
+/**
+ * Shortens an address for display (first 6 + last 4 characters)
+ * @param {string} address - Full address
+ * @returns {string} - Shortened address
+ */
+function shortenAddress(address) {
+    return address.length > 12 ? `${address.slice(0, 6)}...${address.slice(-4)}` : address;
+}
+
+/**
+ * Renders the breakdown of WOO held by labelled addresses
+ * @param {Object} data - holders.json contents
+ * @returns {HTMLElement|null} - The table container, or null when no holders are configured
+ */
+function renderHoldersTable(data) {
+    if (!data || data.holders.length === 0) {
+        return null;
+    }
+
+    // Laid out with CSS grid like the explorer table, so it gets the same ARIA roles
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'holders-table';
+    tableContainer.setAttribute('role', 'table');
+    tableContainer.setAttribute('aria-label', t('holders.title'));
+
+    const headerRow = document.createElement('div');
+    headerRow.className = 'holder-header';
+    headerRow.setAttribute('role', 'row');
+    headerRow.innerHTML = `
+        <div role="columnheader">${t('holders.holder')}</div>
+        <div role="columnheader">${t('holders.type')}</div>
+        <div role="columnheader">${t('holders.network')}</div>
+        <div role="columnheader">${t('holders.address')}</div>
+        <div class="holder-balance" role="columnheader">${t('holders.quantity')}</div>
+    `;
+    tableContainer.appendChild(headerRow);
+
+    const sortedHolders = [...data.holders].sort((a, b) => (b.balance || 0) - (a.balance || 0));
+
+    sortedHolders.forEach(holder => {
+        const chain = chainRegistry.find(entry => entry.id === holder.chain);
+
+        const row = document.createElement('div');
+        row.className = 'holder-row';
+        row.setAttribute('role', 'row');
+
+        const labelCell = document.createElement('div');
+        labelCell.className = 'holder-label';
+        labelCell.textContent = holder.label;
+
+        const kindCell = document.createElement('div');
+        kindCell.className = `holder-kind holder-kind-${holder.kind}`;
+        kindCell.textContent = t(`holders.kind.${holder.kind}`);
+
+        const chainCell = document.createElement('div');
+        chainCell.textContent = chain ? chain.name : holder.chain;
+
+        // Link the address to the chain's explorer when the registry has an address URL
+        const addressCell = document.createElement('div');
+        addressCell.className = 'holder-address';
+        if (chain && chain.explorerAddressUrl) {
+            const addressLink = document.createElement('a');
+            addressLink.href = chain.explorerAddressUrl.replace('{address}', holder.address);
+            addressLink.target = '_blank';
+            addressLink.rel = 'noopener noreferrer';
+            addressLink.textContent = shortenAddress(holder.address);
+            addressCell.appendChild(addressLink);
+        } else {
+            addressCell.textContent = shortenAddress(holder.address);
+        }
+        addressCell.title = holder.address;
+
+        const balanceCell = document.createElement('div');
+        balanceCell.className = 'holder-balance';
+        balanceCell.textContent = typeof holder.balance === 'number' ? formatNumber(holder.balance) : '-';
+        if (holder.balanceStale) {
+            balanceCell.classList.add('stale');
+            balanceCell.title = t('table.lastKnown');
+        }
+
+        [labelCell, kindCell, chainCell, addressCell, balanceCell].forEach(cell => {
+            cell.setAttribute('role', 'cell');
+            row.appendChild(cell);
+        });
+        tableContainer.appendChild(row);
+    });
+
+    return tableContainer;
+}
+
 /**
  * Renders a pie chart showing token distribution across chains
  * @param {Array} explorerLinks - Array of explorer link objects with tokenBalance
@@ -227,74 +865,212 @@ function renderDistributionChart(explorerLinks) {
     chartContainer.innerHTML = `
         <canvas id="distribution-chart"></canvas>
     `;
+    chartContainer.appendChild(createDistributionDataTable(explorerLinks));
+
+    const colors = explorerLinks.map(getChainColor);
+
+    // Wait for next tick to ensure canvas is in DOM
+    setTimeout(() => {
+        const ctx = document.getElementById('distribution-chart');
+        // Chart.js comes from a CDN and may be unavailable offline
+        if (!ctx || typeof Chart === 'undefined') return;
+
+        activeCharts.push(createDistributionChart(ctx, explorerLinks, colors));
+    }, 0);
+
+    return chartContainer;
+}
 
-    // Get data for chart
-    const labels = explorerLinks.map(link => link.name);
-    const data = explorerLinks.map(link => link.tokenBalance || 0);
-
-    // Chain-specific colors
-    const chainColors = {
-        'Ethereum': '#627EEA',
-        'BSC': '#F3BA2F',
-        'Arbitrum': '#28A0F0',
-        'Polygon': '#8247E5',
-        'Avalanche': '#E84142',
-        'Optimism': '#FF0420',
-        'Base': '#0052FF',
-        'Solana': '#14F195',
-        'Mantle': '#000000'
+/**
+ * Returns the snapshots that fall within N days of the latest snapshot
+ * @param {Array} history - Array of snapshot objects, oldest first
+ * @param {number} days - Number of days to include
+ * @returns {Array} - Snapshots within the range
+ */
+function getHistoryRange(history, days) {
+    if (history.length === 0) return [];
+    const cutoff = new Date(history[history.length - 1].date);
+    cutoff.setUTCDate(cutoff.getUTCDate() - days);
+    const cutoffDate = cutoff.toISOString().slice(0, 10);
+    return history.filter(snapshot => snapshot.date > cutoffDate);
+}
+
+/**
+ * Builds Chart.js line chart data for per-chain balance trends
+ * @param {Array} explorerLinks - Array of explorer link objects (defines chain order)
+ * @param {Array} snapshots - Snapshots to plot
+ * @returns {Object} - Chart.js data object
+ */
+function buildHistoryChartData(explorerLinks, snapshots) {
+    return {
+        labels: snapshots.map(snapshot => snapshot.date),
+        datasets: explorerLinks.map(link => ({
+            label: link.name,
+            data: snapshots.map(snapshot => snapshot.balances[link.chain] ?? null),
+            borderColor: getChainColor(link),
+            backgroundColor: getChainColor(link),
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            tension: 0.2,
+            spanGaps: true
+        }))
     };
+}
 
-    const colors = explorerLinks.map(link => chainColors[link.name] || '#00A9DE');
+/**
+ * Builds a visually hidden table with the trend chart's figures for screen readers
+ * @param {Object} chartData - Chart.js data from buildHistoryChartData
+ * @param {number} days - Selected range in days
+ * @returns {HTMLTableElement} - Table with a row per date and a column per network
+ */
+function createHistoryDataTable(chartData, days) {
+    const table = document.createElement('table');
+    table.className = 'sr-only';
+
+    const caption = document.createElement('caption');
+    caption.textContent = t('history.caption', { days });
+    table.appendChild(caption);
+
+    const headerRow = table.createTHead().insertRow();
+    [t('history.date'), ...chartData.datasets.map(dataset => dataset.label)].forEach(label => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    chartData.labels.forEach((date, index) => {
+        const row = body.insertRow();
+
+        const dateCell = document.createElement('th');
+        dateCell.scope = 'row';
+        dateCell.textContent = date;
+        row.appendChild(dateCell);
+
+        chartData.datasets.forEach(dataset => {
+            const value = dataset.data[index];
+            row.insertCell().textContent = typeof value === 'number' ? formatNumber(value) : '-';
+        });
+    });
+
+    return table;
+}
+
+/**
+ * Renders a line chart showing per-chain token balances over time
+ * @param {Array} explorerLinks - Array of explorer link objects, sorted by balance
+ * @param {Array} history - Array of snapshot objects, oldest first
+ * @returns {HTMLElement} - The chart container element
+ */
+function renderHistoryChart(explorerLinks, history) {
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container history-chart';
+
+    // A trend needs at least two data points
+    if (history.length < 2) {
+        chartContainer.innerHTML = `
+            <p class="history-empty">${t('history.empty')}</p>
+        `;
+        return chartContainer;
+    }
+
+    let activeRange = HISTORY_RANGES[0];
+    let chartData = buildHistoryChartData(explorerLinks, getHistoryRange(history, activeRange));
+
+    // Range selector buttons
+    const rangeBar = document.createElement('div');
+    rangeBar.className = 'history-ranges';
+    rangeBar.setAttribute('role', 'group');
+    rangeBar.setAttribute('aria-label', t('history.rangeLabel'));
+    HISTORY_RANGES.forEach(days => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = days === activeRange ? 'range-btn active' : 'range-btn';
+        button.textContent = t('history.range', { days });
+        button.setAttribute('data-range', days);
+        button.setAttribute('aria-pressed', days === activeRange ? 'true' : 'false');
+        rangeBar.appendChild(button);
+    });
+
+    // The canvas is an image to assistive technology; the hidden table carries its figures
+    const canvas = document.createElement('canvas');
+    canvas.id = 'history-chart';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', t('history.label', { days: activeRange }));
+
+    let dataTable = createHistoryDataTable(chartData, activeRange);
+
+    chartContainer.appendChild(rangeBar);
+    chartContainer.appendChild(canvas);
+    chartContainer.appendChild(dataTable);
+
+    // Set once Chart.js has drawn the canvas; stays null when it is unavailable
+    let chart = null;
+
+    // Switch range without recreating the chart. The buttons, label and data
+    // table update even without a chart, since the table is the fallback view.
+    rangeBar.querySelectorAll('.range-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            activeRange = Number(button.getAttribute('data-range'));
+            rangeBar.querySelectorAll('.range-btn').forEach(btn => {
+                btn.classList.toggle('active', btn === button);
+                btn.setAttribute('aria-pressed', btn === button ? 'true' : 'false');
+            });
+
+            chartData = buildHistoryChartData(explorerLinks, getHistoryRange(history, activeRange));
+            if (chart) {
+                chart.data = chartData;
+                chart.update();
+            }
+
+            canvas.setAttribute('aria-label', t('history.label', { days: activeRange }));
+            const nextTable = createHistoryDataTable(chartData, activeRange);
+            dataTable.replaceWith(nextTable);
+            dataTable = nextTable;
+        });
+    });
 
     // Wait for next tick to ensure canvas is in DOM
     setTimeout(() => {
-        const ctx = document.getElementById('distribution-chart');
-        if (!ctx) return;
-
-        new Chart(ctx, {
-            type: 'doughnut',
-            data: {
-                labels: labels,
-                datasets: [{
-                    data: data,
-                    backgroundColor: colors,
-                    borderColor: '#1a1a1a',
-                    borderWidth: 2
-                }]
-            },
+        const ctx = document.getElementById('history-chart');
+        if (!ctx || typeof Chart === 'undefined') return;
+
+        chart = new Chart(ctx, {
+            type: 'line',
+            data: chartData,
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
-                color: '#ffffff',
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#888', maxTicksLimit: 8 },
+                        grid: { color: '#222' }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#888',
+                            callback: (value) => formatNumber(value, 0)
+                        },
+                        grid: { color: '#222' }
+                    }
+                },
                 plugins: {
                     legend: {
-                        position: 'right',
+                        position: 'bottom',
                         labels: {
                             color: '#ffffff',
                             font: {
                                 family: "'IBM Plex Sans', sans-serif",
-                                size: 13
+                                size: 12
                             },
-                            padding: 15,
                             usePointStyle: true,
-                            pointStyle: 'circle',
-                            generateLabels: (chart) => {
-                                const data = chart.data;
-                                const total = data.datasets[0].data.reduce((a, b) => a + b, 0);
-                                return data.labels.map((label, i) => {
-                                    const value = data.datasets[0].data[i];
-                                    const percentage = ((value / total) * 100).toFixed(1);
-                                    return {
-                                        text: `${label} (${percentage}%)`,
-                                        fillStyle: data.datasets[0].backgroundColor[i],
-                                        strokeStyle: data.datasets[0].backgroundColor[i],
-                                        fontColor: '#ffffff',
-                                        hidden: false,
-                                        index: i
-                                    };
-                                });
-                            }
+                            pointStyle: 'circle'
                         }
                     },
                     tooltip: {
@@ -304,155 +1080,418 @@ function renderDistributionChart(explorerLinks) {
                         borderColor: '#333',
                         borderWidth: 1,
                         padding: 12,
-                        displayColors: true,
-                        titleFont: {
-                            family: "'IBM Plex Sans', sans-serif",
-                            size: 13
-                        },
-                        bodyFont: {
-                            family: "'IBM Plex Sans', sans-serif",
-                            size: 12
-                        },
                         callbacks: {
-                            label: (context) => {
-                                const value = context.parsed;
-                                const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                                const percentage = ((value / total) * 100).toFixed(1);
-                                return `${formatNumber(value)} WOO (${percentage}%)`;
-                            }
+                            label: (context) => `${context.dataset.label}: ${formatNumber(context.parsed.y)} WOO`
                         }
                     }
                 }
             }
         });
+
+        activeCharts.push(chart);
     }, 0);
 
     return chartContainer;
 }
 
+/**
+ * Appends a card for each link (the "cards" render mode)
+ * @param {HTMLElement} grid - Grid container
+ * @param {Array} categoryLinks - Links in the category
+ */
+function appendCardSection(grid, categoryLinks) {
+    categoryLinks.forEach(link => {
+        grid.appendChild(createLinkCard(link));
+    });
+}
+
+/**
+ * Appends the distribution charts, the per-chain table and the known holders
+ * (the "distribution-table" render mode)
+ * @param {HTMLElement} grid - Grid container
+ * @param {Array} categoryLinks - Links in the category, each with chain and contractAddress
+ */
+function appendDistributionSection(grid, categoryLinks) {
+    // Sort explorers by token balance (highest to lowest)
+    const sortedExplorers = [...categoryLinks].sort((a, b) =>
+        (b.tokenBalance || 0) - (a.tokenBalance || 0)
+    );
+
+    // Add pie chart and balance trends above explorer table
+    const chartsRow = document.createElement('div');
+    chartsRow.className = 'distribution-charts';
+    chartsRow.appendChild(renderDistributionChart(sortedExplorers));
+    chartsRow.appendChild(renderHistoryChart(sortedExplorers, balanceHistory));
+    grid.appendChild(chartsRow);
+
+    // Add sortable, filterable explorer table
+    const tableContainer = renderExplorerTable(sortedExplorers);
+    grid.appendChild(tableContainer);
+
+    // Add breakdown of labelled treasury, vesting, bridge and burn holders
+    const holdersTable = renderHoldersTable(holderData);
+    if (holdersTable) {
+        const holdersHeader = document.createElement('div');
+        holdersHeader.className = 'subsection-header';
+        holdersHeader.textContent = t('holders.title');
+        grid.appendChild(holdersHeader);
+        grid.appendChild(holdersTable);
+    }
+
+    // Add the check of the API total supply against the on-chain figures
+    const reconciliation = renderSupplyReconciliation();
+    if (reconciliation) {
+        const reconciliationHeader = document.createElement('div');
+        reconciliationHeader.className = 'subsection-header';
+        reconciliationHeader.textContent = t('reconciliation.title');
+        grid.appendChild(reconciliationHeader);
+        grid.appendChild(reconciliation);
+    }
+}
+
+/**
+ * Renders the API total supply next to the on-chain figures recorded by the
+ * balance workflow. Bridged supply is counted on its own chain and again in
+ * the canonical totalSupply() while it sits in a bridge escrow, so the on-chain
+ * sum exceeds the API total by the escrowed amount; anything beyond the
+ * labelled escrows is unaccounted for. Without any labelled escrow, bridging
+ * is taken to be lock-and-mint: every bridged token is escrowed on the
+ * canonical chain, so the canonical totalSupply() alone should match the API total.
+ * @returns {HTMLElement|null} - The panel, or null before any run has recorded the on-chain sum
+ */
+function renderSupplyReconciliation() {
+    const snapshot = [...balanceHistory].reverse().find(entry => typeof entry.onChainSupply === 'number');
+    if (!snapshot) {
+        return null;
+    }
+
+    const hasEscrows = Boolean(holderData) && holderData.holders.some(holder =>
+        holder.kind === 'bridge' && typeof holder.balance === 'number'
+    );
+    const apiTotal = latestMetrics ? latestMetrics.totalSupply : null;
+    const bridgeEscrow = hasEscrows ? holderData.totals.bridge || 0 : null;
+    const canonicalChain = chainRegistry.find(chain => chain.role === 'canonical');
+    const implied = apiTotal > 0 ? snapshot.onChainSupply - apiTotal : null;
+    let unaccounted = null;
+    if (implied !== null) {
+        unaccounted = hasEscrows ? implied - bridgeEscrow : snapshot.canonicalTotalSupply - apiTotal;
+    }
+
+    const formatAmount = (value) => typeof value === 'number' ? `${formatNumber(value)} WOO` : '-';
+    const rows = [
+        { label: t('reconciliation.apiTotal'), value: apiTotal },
+        {
+            label: t('reconciliation.canonicalTotal', { chain: canonicalChain ? canonicalChain.name : '-' }),
+            value: snapshot.canonicalTotalSupply
+        },
+        { label: t('reconciliation.bridgedTotal'), value: snapshot.totalBridged },
+        { label: t('reconciliation.onChainSum'), value: snapshot.onChainSupply, total: true },
+        { label: t('reconciliation.implied'), value: implied },
+        { label: t('reconciliation.bridgeEscrow'), value: bridgeEscrow },
+        { label: t('reconciliation.unaccounted'), value: unaccounted, total: true }
+    ];
+
+    const panel = document.createElement('div');
+    panel.className = 'reconciliation';
+
+    const figures = document.createElement('dl');
+    figures.className = 'reconciliation-figures';
+    rows.forEach(row => {
+        const item = document.createElement('div');
+        item.className = row.total ? 'reconciliation-row total' : 'reconciliation-row';
+
+        const label = document.createElement('dt');
+        label.textContent = row.label;
+
+        const value = document.createElement('dd');
+        value.textContent = formatAmount(row.value);
+
+        item.appendChild(label);
+        item.appendChild(value);
+        figures.appendChild(item);
+    });
+    panel.appendChild(figures);
+
+    // Verdict: without the API total there is nothing to compare against
+    const status = document.createElement('p');
+    if (unaccounted === null) {
+        status.className = 'reconciliation-status';
+        status.textContent = t('reconciliation.noApiTotal');
+    } else {
+        const divergencePct = Math.abs(unaccounted) / apiTotal * 100;
+        const diverges = divergencePct > RECONCILIATION_TOLERANCE_PCT;
+        status.className = diverges ? 'reconciliation-status warning' : 'reconciliation-status ok';
+        status.textContent = t(diverges ? 'reconciliation.warning' : 'reconciliation.ok', {
+            percent: formatPercent(divergencePct, 2),
+            tolerance: formatPercent(RECONCILIATION_TOLERANCE_PCT)
+        });
+    }
+    panel.appendChild(status);
+
+    if (unaccounted !== null && !hasEscrows) {
+        const basis = document.createElement('p');
+        basis.className = 'reconciliation-note';
+        basis.textContent = t('reconciliation.lockAndMint', { chain: canonicalChain ? canonicalChain.name : '-' });
+        panel.appendChild(basis);
+    }
+
+    const note = document.createElement('p');
+    note.className = 'reconciliation-note';
+    note.textContent = t('reconciliation.asOf', {
+        date: new Date(snapshot.timestamp || snapshot.date).toLocaleString(getLocale())
+    });
+    panel.appendChild(note);
+
+    return panel;
+}
+
+/**
+ * Redraws the reconciliation panel, when it is on the page, so it compares
+ * against the metrics that were just loaded
+ */
+function refreshSupplyReconciliation() {
+    const panel = document.querySelector('#links-grid .reconciliation');
+    const updated = panel ? renderSupplyReconciliation() : null;
+    if (updated) {
+        panel.replaceWith(updated);
+    }
+}
+
+/**
+ * Builds the totals shown above a Distribution category in its own view
+ * @param {Array} categoryLinks - Links in the category, each with chain and tokenBalance
+ * @returns {HTMLElement} - Summary row of stat cards
+ */
+function renderDistributionSummary(categoryLinks) {
+    const totalSupply = categoryLinks.reduce((sum, link) => sum + (link.tokenBalance || 0), 0);
+    const canonicalIds = chainRegistry
+        .filter(chain => chain.role === 'canonical')
+        .map(chain => chain.id);
+    const canonicalSupply = categoryLinks
+        .filter(link => canonicalIds.includes(link.chain))
+        .reduce((sum, link) => sum + (link.tokenBalance || 0), 0);
+    const changes = categoryLinks.map(getBalanceChange).filter(Boolean);
+    const staleCount = categoryLinks.filter(link => link.balanceStale).length;
+
+    const items = [
+        { label: t('summary.totalTracked'), value: formatNumber(totalSupply) },
+        { label: t('summary.networks'), value: String(categoryLinks.length) },
+        {
+            label: t('summary.canonicalShare'),
+            value: totalSupply > 0 ? formatPercent(canonicalSupply / totalSupply * 100) : '-'
+        },
+        {
+            label: t('summary.bridgedShare'),
+            value: totalSupply > 0 ? formatPercent((totalSupply - canonicalSupply) / totalSupply * 100) : '-'
+        }
+    ];
+
+    if (changes.length > 0) {
+        const netChange = changes.reduce((sum, change) => sum + change.absolute, 0);
+        items.push({ label: t('summary.netChange'), value: formatBalanceChange({ absolute: netChange, percent: null }) });
+    }
+
+    if (staleCount > 0) {
+        items.push({ label: t('summary.stale'), value: String(staleCount) });
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'distribution-summary';
+    items.forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+
+        const label = document.createElement('div');
+        label.className = 'stat-label';
+        label.textContent = item.label;
+
+        const value = document.createElement('div');
+        value.className = 'stat-value';
+        value.textContent = item.value;
+
+        card.appendChild(label);
+        card.appendChild(value);
+        summary.appendChild(card);
+    });
+
+    return summary;
+}
+
+// Section renderers by the render mode set in categories.json
+const SECTION_RENDERERS = {
+    'cards': appendCardSection,
+    'distribution-table': appendDistributionSection
+};
+
+// Extra content shown above a category when it is filtered on its own
+const CATEGORY_VIEW_EXTRAS = {
+    'distribution-table': renderDistributionSummary
+};
+
+/**
+ * Creates a section header with an optional icon
+ * @param {string} title - Header text
+ * @param {string} iconText - Emoji shown before the title
+ * @returns {HTMLElement} - The header element
+ */
+function createSectionHeader(title, iconText) {
+    const sectionHeader = document.createElement('div');
+    sectionHeader.className = 'section-header';
+
+    if (iconText) {
+        const icon = document.createElement('span');
+        icon.className = 'section-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = iconText;
+        sectionHeader.appendChild(icon);
+    }
+
+    sectionHeader.appendChild(document.createTextNode(title));
+    return sectionHeader;
+}
+
 /**
  * Renders links organized by sections with headers
  */
 function renderLinksWithSections() {
-    const grid = document.getElementById('links-grid');
-    grid.innerHTML = '';
-
-    // Group links by category
-    const categories = ['Platform', 'Analytics', 'Explorers', 'Social'];
+    const grid = clearLinksGrid();
 
-    // Map category names to display names
-    const categoryDisplayNames = {
-        'Platform': 'Platform Links',
-        'Analytics': 'Analytics',
-        'Explorers': 'Distribution',
-        'Social': 'Social'
-    };
+    // Starred links lead as cards, whichever section they also appear in
+    grid.append(...createFavoritesSection());
 
     categories.forEach(category => {
         // Filter links for this category
-        const categoryLinks = wooLinks.filter(link => link.category === category);
+        const categoryLinks = orderByLanguage(wooLinks.filter(link => link.category === category.id));
 
         if (categoryLinks.length > 0) {
-            // Create section header
-            const sectionHeader = document.createElement('div');
-            sectionHeader.className = 'section-header';
-            sectionHeader.textContent = categoryDisplayNames[category] || category;
-            grid.appendChild(sectionHeader);
-
-            // Render differently for Explorers (table) vs others (cards)
-            if (category === 'Explorers') {
-                // Sort explorers by token balance (highest to lowest)
-                const sortedExplorers = [...categoryLinks].sort((a, b) =>
-                    (b.tokenBalance || 0) - (a.tokenBalance || 0)
-                );
-
-                // Add pie chart above explorer table
-                const chartContainer = renderDistributionChart(sortedExplorers);
-                grid.appendChild(chartContainer);
-
-                // Create table container for explorers
-                const tableContainer = document.createElement('div');
-                tableContainer.className = 'explorer-table';
-
-                // Add table header
-                const headerRow = document.createElement('div');
-                headerRow.className = 'explorer-header';
-                headerRow.innerHTML = `
-                    <div class="explorer-icon-header"></div>
-                    <div class="explorer-name-header">Network</div>
-                    <div class="explorer-address-header">Contract</div>
-                    <div class="explorer-balance-header">Quantity</div>
-                    <div class="explorer-percentage-header">% of Supply</div>
-                `;
-                tableContainer.appendChild(headerRow);
-
-                // Calculate total supply for percentage
-                const totalSupply = sortedExplorers.reduce((sum, link) => sum + (link.tokenBalance || 0), 0);
-
-                // Add explorer rows (already sorted)
-                sortedExplorers.forEach(link => {
-                    const row = createExplorerRow(link, totalSupply);
-                    tableContainer.appendChild(row);
-                });
-
-                grid.appendChild(tableContainer);
-            } else {
-                // Add cards for non-explorer categories
-                categoryLinks.forEach(link => {
-                    const card = createLinkCard(link);
-                    grid.appendChild(card);
-                });
-            }
+            grid.appendChild(createSectionHeader(localize(category.name), category.icon));
+
+            const renderSection = SECTION_RENDERERS[category.render] || appendCardSection;
+            renderSection(grid, categoryLinks);
         }
     });
 }
 
 /**
- * Filters link cards by category
- * @param {string} category - Category to filter by, or 'all' to show all
+ * Returns the display name of a category
+ * @param {string} categoryId - Category id from categories.json
+ * @returns {string} - Localized category name, or the id for unknown categories
  */
-function filterLinks(category) {
-    if (category === 'all') {
-        // Re-render with sections when showing all
-        renderLinksWithSections();
+function getCategoryName(categoryId) {
+    const category = categories.find(entry => entry.id === categoryId);
+    return category ? localize(category.name) : categoryId;
+}
+
+/**
+ * Searches every link by name, category, tags and contract address
+ * @param {string} query - Search text
+ * @returns {Array} - Matches sorted best first
+ */
+function findLinks(query) {
+    return searchLinks(wooLinks, query, getCategoryName);
+}
+
+/**
+ * Renders the cards matching the search box, best match first
+ */
+function renderSearchResults() {
+    const grid = clearLinksGrid();
+
+    const results = findLinks(searchQuery);
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'search-empty';
+        empty.textContent = t('search.noResults', { query: searchQuery.trim() });
+        grid.appendChild(empty);
+        return;
+    }
+
+    results.forEach(result => {
+        grid.appendChild(createLinkCard(result.link, result));
+    });
+}
+
+/**
+ * Renders search results while the search box has text, otherwise the active filter
+ */
+function renderView() {
+    if (searchQuery.trim()) {
+        renderSearchResults();
     } else {
-        // Re-render without sections
-        renderLinks();
-
-        // Hide cards that don't match the category
-        const cards = document.querySelectorAll('.link-card');
-        cards.forEach(card => {
-            const cardCategory = card.getAttribute('data-category');
-            if (cardCategory === category) {
-                card.classList.remove('hidden');
-            } else {
-                card.classList.add('hidden');
-            }
-        });
+        filterLinks(viewState.filter);
+    }
+}
+
+/**
+ * Renders a single category the same way it appears in the "All" view,
+ * plus any extras for its render mode
+ * @param {Object} category - Category object from categories.json
+ */
+function renderCategoryView(category) {
+    const grid = clearLinksGrid();
+
+    let categoryLinks = orderByLanguage(wooLinks.filter(link => link.category === category.id));
+    if (category.render === 'cards') {
+        categoryLinks = orderByFavorite(categoryLinks);
+    }
+
+    grid.appendChild(createSectionHeader(localize(category.name), category.icon));
+
+    const renderExtras = CATEGORY_VIEW_EXTRAS[category.render];
+    if (renderExtras && categoryLinks.length > 0) {
+        grid.appendChild(renderExtras(categoryLinks));
+    }
+
+    const renderSection = SECTION_RENDERERS[category.render] || appendCardSection;
+    renderSection(grid, categoryLinks);
+}
+
+/**
+ * Shows every category with sections, or a single category on its own
+ * @param {string} categoryId - Category id to filter by, or 'all' to show all
+ */
+function filterLinks(categoryId) {
+    const category = categories.find(entry => entry.id === categoryId);
+    if (category) {
+        renderCategoryView(category);
+    } else {
+        renderLinksWithSections();
     }
 }
 
 /**
  * Renders WOO token stats
  * @param {Object} metrics - Token metrics data
+ * @param {Object} options - { offline } when showing last known metrics after a failed fetch
  */
-function renderStats(metrics) {
+function renderStats(metrics, { offline = false } = {}) {
+    latestMetrics = metrics;
     const container = document.getElementById('stats-container');
+    container.removeAttribute('aria-busy');
+    announce(offline ? t('stats.offlineHint') : t('stats.loaded'));
 
     container.innerHTML = `
-        <div class="stat-card">
-            <div class="stat-label">Circ. Supply</div>
-            <div class="stat-value">${formatNumber(metrics.circulatingSupply)}</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-label">Burned Amount</div>
-            <div class="stat-value">${formatNumber(metrics.burnedAmount)}</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-label">FDV</div>
-            <div class="stat-value">${formatCurrency(metrics.fdv)}</div>
+        ${renderStatCards(metrics)}
+        <div class="stats-meta">
+            ${offline ? `<span class="offline-badge" title="${t('stats.offlineHint')}">${t('stats.offline')}</span>` : ''}
+            <span class="stats-updated" title="${new Date(metrics.lastUpdated).toLocaleString(getLocale())}">
+                ${t('stats.updated', { time: formatTimeAgo(metrics.lastUpdated) })}
+            </span>
+            <button class="refresh-btn" type="button">${t('stats.refresh')}</button>
         </div>
     `;
+
+    container.querySelector('.refresh-btn').addEventListener('click', refreshStats);
+    refreshSupplyReconciliation();
+
+    // Keep the relative time current while the page stays open
+    clearInterval(statsFreshnessTimer);
+    statsFreshnessTimer = setInterval(() => {
+        const label = container.querySelector('.stats-updated');
+        if (label) {
+            label.textContent = t('stats.updated', { time: formatTimeAgo(metrics.lastUpdated) });
+        }
+    }, FRESHNESS_UPDATE_INTERVAL);
 }
 
 /**
@@ -460,82 +1499,451 @@ function renderStats(metrics) {
  */
 function showStatsLoading() {
     const container = document.getElementById('stats-container');
-    container.innerHTML = '<div class="stats-loading">Loading metrics...</div>';
+    container.innerHTML = `<div class="stats-loading">${t('stats.loading')}</div>`;
+    container.setAttribute('aria-busy', 'true');
+    announce(t('stats.loading'));
 }
 
 /**
  * Shows error state for stats
- * @param {Function} retryFunction - Function to call on retry
  */
-function showStatsError(retryFunction) {
+function showStatsError() {
+    clearInterval(statsFreshnessTimer);
+
     const container = document.getElementById('stats-container');
+    container.removeAttribute('aria-busy');
+    announce(t('stats.loadFailed'));
     container.innerHTML = `
         <div class="stats-error">
-            <p>Failed to load metrics</p>
-            <button onclick="window.location.reload()">Retry</button>
+            <p>${t('stats.loadFailed')}</p>
+            <button type="button">${t('common.retry')}</button>
         </div>
     `;
+    container.querySelector('button').addEventListener('click', () => loadStats({ forceRefresh: true }));
 }
 
 /**
  * Loads and displays WOO token stats
+ * @param {Object} options - { forceRefresh } to bypass the metrics cache
  */
-async function loadStats() {
+async function loadStats({ forceRefresh = false } = {}) {
     showStatsLoading();
 
     try {
-        const metrics = await fetchWOOMetrics();
+        const metrics = await fetchWOOMetrics({ forceRefresh });
         renderStats(metrics);
     } catch (error) {
         console.error('Error loading stats:', error);
+        showLastKnownStats();
+    }
+}
+
+/**
+ * Shows the last metrics fetched in this currency with an offline badge,
+ * or the error state when none were saved
+ */
+function showLastKnownStats() {
+    const lastKnown = getLastKnownMetrics();
+    if (lastKnown) {
+        renderStats(lastKnown, { offline: true });
+    } else {
         showStatsError();
     }
 }
 
 /**
- * Sets up filter button event listeners
+ * Re-fetches stats bypassing the cache, keeping the current cards visible meanwhile
+ */
+async function refreshStats() {
+    const button = document.querySelector('#stats-container .refresh-btn');
+    if (button) {
+        button.disabled = true;
+        button.textContent = t('stats.refreshing');
+    }
+    announce(t('stats.refreshing'));
+
+    try {
+        const metrics = await fetchWOOMetrics({ forceRefresh: true });
+        renderStats(metrics);
+    } catch (error) {
+        console.error('Error refreshing stats:', error);
+        showLastKnownStats();
+    }
+}
+
+/**
+ * Fills the currency selector and re-renders stats when the currency changes
+ */
+function initializeCurrencySelector() {
+    const select = document.getElementById('currency-select');
+    if (!select) return;
+
+    select.innerHTML = '';
+    SUPPORTED_CURRENCIES.forEach(currency => {
+        const option = document.createElement('option');
+        option.value = currency;
+        option.textContent = currency.toUpperCase();
+        select.appendChild(option);
+    });
+    select.value = getCurrency();
+
+    select.addEventListener('change', () => {
+        setCurrency(select.value);
+        loadStats();
+    });
+}
+
+/**
+ * Sets up the header language toggle, which cycles through the supported
+ * languages and re-renders everything built from translated strings
+ */
+function initializeLanguageToggle() {
+    const button = document.getElementById('language-toggle');
+    if (!button) return;
+
+    const updateLabel = () => {
+        // The toggle shows the language it switches to
+        const languages = SUPPORTED_LANGUAGES;
+        const next = languages[(languages.indexOf(getLanguage()) + 1) % languages.length];
+        button.textContent = LANGUAGE_TOGGLE_LABELS[next];
+        button.setAttribute('data-language', next);
+    };
+    updateLabel();
+
+    button.addEventListener('click', () => {
+        setLanguage(button.getAttribute('data-language'));
+        updateLabel();
+        applyTranslations();
+
+        if (wooLinks.length > 0) {
+            renderFilterButtons();
+            renderCustomLinkCategories();
+            renderView();
+        }
+        loadStats();
+    });
+}
+
+/**
+ * Creates a filter bar button
+ * @param {string} filter - Value stored in the URL: 'all' or a category id
+ * @param {string} label - Button text
+ * @returns {HTMLElement} - The button element
+ */
+function createFilterButton(filter, label) {
+    const active = filter === viewState.filter;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = active ? 'filter-btn active' : 'filter-btn';
+    button.setAttribute('data-filter', filter);
+    button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    // Only the active button is in the tab order; arrow keys move between the rest
+    button.tabIndex = active ? 0 : -1;
+    button.textContent = label;
+    return button;
+}
+
+/**
+ * Marks one filter button as pressed and makes it the bar's tab stop
+ * @param {HTMLElement} filterBar - The filter bar
+ * @param {HTMLElement} activeButton - Button to mark as pressed
+ */
+function setActiveFilterButton(filterBar, activeButton) {
+    filterBar.querySelectorAll('.filter-btn').forEach(btn => {
+        const active = btn === activeButton;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+        btn.tabIndex = active ? 0 : -1;
+    });
+}
+
+/**
+ * Moves focus along the filter bar with the arrow, Home and End keys
+ * (toolbar pattern); Enter or Space then applies the focused filter
+ * @param {KeyboardEvent} event - Keydown event from the filter bar
+ */
+function handleFilterBarKeydown(event) {
+    const buttons = [...event.currentTarget.querySelectorAll('.filter-btn')];
+    const index = buttons.indexOf(event.target);
+    if (index === -1) return;
+
+    let next;
+    switch (event.key) {
+        case 'ArrowRight':
+            next = (index + 1) % buttons.length;
+            break;
+        case 'ArrowLeft':
+            next = (index - 1 + buttons.length) % buttons.length;
+            break;
+        case 'Home':
+            next = 0;
+            break;
+        case 'End':
+            next = buttons.length - 1;
+            break;
+        default:
+            return;
+    }
+
+    event.preventDefault();
+    buttons.forEach((btn, i) => {
+        btn.tabIndex = i === next ? 0 : -1;
+    });
+    buttons[next].focus();
+}
+
+/**
+ * Renders the "All" button plus one button per category that has links
+ */
+function renderFilterButtons() {
+    const filterBar = document.getElementById('filter-bar');
+    filterBar.innerHTML = '';
+
+    filterBar.appendChild(createFilterButton('all', t('filters.all')));
+    categories
+        .filter(category => wooLinks.some(link => link.category === category.id))
+        .forEach(category => {
+            filterBar.appendChild(createFilterButton(category.id, localize(category.filterName || category.name)));
+        });
+}
+
+/**
+ * Builds the filter bar, handles its clicks and arrow keys and applies the filter from the URL
  */
 function initializeFilters() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
+    const filterBar = document.getElementById('filter-bar');
 
-    filterButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            // Remove active class from all buttons
-            filterButtons.forEach(btn => btn.classList.remove('active'));
+    renderFilterButtons();
 
-            // Add active class to clicked button
-            button.classList.add('active');
+    // Fall back to "All" when the URL names an unknown or empty category
+    const filterButtons = [...filterBar.querySelectorAll('.filter-btn')];
+    if (!filterButtons.some(btn => btn.getAttribute('data-filter') === viewState.filter)) {
+        viewState.filter = 'all';
+        writeViewState(viewState);
+        setActiveFilterButton(filterBar, filterButtons[0]);
+    }
+
+    // One listener on the bar survives the buttons being rebuilt on language change
+    filterBar.addEventListener('click', (event) => {
+        const button = event.target.closest('.filter-btn');
+        if (!button) return;
+
+        // Get the filter category from data-filter attribute
+        const filterCategory = button.getAttribute('data-filter');
+        setActiveFilterButton(filterBar, button);
+
+        // Picking a category ends the search
+        const searchInput = document.getElementById('link-search');
+        searchInput.value = '';
+        searchQuery = '';
+
+        // Remember the filter in the URL, then apply it
+        viewState.filter = filterCategory;
+        writeViewState(viewState);
+        filterLinks(filterCategory);
+    });
+    filterBar.addEventListener('keydown', handleFilterBarKeydown);
+
+    filterLinks(viewState.filter);
+}
 
-            // Get the filter category from data-filter attribute
-            const filterCategory = button.getAttribute('data-filter');
+/**
+ * Sets up the search box and the Ctrl/Cmd+K command palette
+ */
+function initializeSearch() {
+    const searchInput = document.getElementById('link-search');
+    const shortcut = document.getElementById('search-shortcut');
+    shortcut.textContent = getPaletteShortcutLabel();
+
+    searchInput.addEventListener('input', () => {
+        searchQuery = searchInput.value;
+        renderView();
+    });
+
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && searchInput.value) {
+            searchInput.value = '';
+            searchQuery = '';
+            renderView();
+        }
+    });
 
-            // Apply the filter
-            filterLinks(filterCategory);
+    const palette = initializeCommandPalette(findLinks);
+    shortcut.addEventListener('click', palette.open);
+}
+
+/**
+ * Rebuilds the link list after custom links change and re-renders the page
+ */
+function refreshLinkList() {
+    wooLinks = [...siteLinks, ...getCustomLinks(categories)];
+    renderFilterButtons();
+    renderView();
+}
+
+/**
+ * Shows a message under the custom links form
+ * @param {string} message - Message text
+ * @param {boolean} isError - Styles the message as an error
+ */
+function showUserLinksStatus(message, isError = false) {
+    const status = document.getElementById('user-links-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Fills the custom link category select with the card categories
+ */
+function renderCustomLinkCategories() {
+    const select = document.getElementById('custom-link-category');
+    const selected = select.value;
+
+    select.innerHTML = '';
+    categories
+        .filter(category => category.render === 'cards')
+        .forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = localize(category.name);
+            select.appendChild(option);
         });
+
+    if (selected) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Saves a JSON file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} contents - File contents
+ */
+function downloadJSON(filename, contents) {
+    const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Sets up the custom link form and favorites/custom links export and import
+ */
+function initializeUserLinks() {
+    const form = document.getElementById('custom-link-form');
+    const importInput = document.getElementById('user-links-import-file');
+
+    renderCustomLinkCategories();
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const data = new FormData(form);
+
+        try {
+            const link = addCustomLink({
+                name: data.get('name'),
+                url: data.get('url'),
+                image: data.get('image'),
+                category: data.get('category')
+            }, categories);
+            form.reset();
+            showUserLinksStatus(t('customLinks.added', { name: link.name }));
+            refreshLinkList();
+        } catch (error) {
+            showUserLinksStatus(t('customLinks.invalid', { problems: error.message }), true);
+        }
+    });
+
+    document.getElementById('user-links-export').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadJSON(`woo-links-${date}.json`, exportUserLinks(categories));
+    });
+
+    document.getElementById('user-links-import').addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+
+        try {
+            const result = importUserLinks(await file.text(), categories);
+            showUserLinksStatus(t('customLinks.imported', result));
+            refreshLinkList();
+        } catch (error) {
+            showUserLinksStatus(t('customLinks.importFailed', { reason: error.message }), true);
+        } finally {
+            // Allow importing the same file again
+            importInput.value = '';
+        }
+    });
+}
+
+/**
+ * Registers the service worker that keeps the page usable offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
     });
 }
 
 // Initialize the page when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', async () => {
+    registerServiceWorker();
+    applyTranslations();
+    initializeLanguageToggle();
+    initializeCurrencySelector();
+
     // Show loading state for links
     const grid = document.getElementById('links-grid');
     grid.innerHTML = `
         <div style="grid-column: 1 / -1; text-align: center; padding: 40px; color: #888;">
-            <p style="font-size: 1.2rem;">Loading links...</p>
+            <p style="font-size: 1.2rem;">${t('links.loading')}</p>
         </div>
     `;
 
-    // Load stats and links in parallel
-    const [linksResult] = await Promise.all([
-        loadLinks(),
+    // Load stats, links, categories, chain registry, balance history, holders and link health in parallel
+    const [linksResult, categoriesResult, chainsResult, historyResult, holdersResult, healthResult] = await Promise.all([
+        loadDataFile('links.json', [], { required: true }),
+        loadDataFile('categories.json', [], { required: true }),
+        // Optional: chains only affect colors, history the trend chart and
+        // link health the broken-link marks
+        loadDataFile('chains.json', []),
+        loadDataFile('history.json', []),
+        fetchHolderData(),
+        loadDataFile('link-health.json', null),
         loadStats()
     ]);
 
-    wooLinks = linksResult;
+    categories = categoriesResult;
+    // Skip malformed entries (logged to the console) rather than failing the page
+    siteLinks = filterValidLinks(linksResult, categories);
+    wooLinks = siteLinks.length > 0 ? [...siteLinks, ...getCustomLinks(categories)] : [];
+    chainRegistry = chainsResult;
+    balanceHistory = historyResult;
+    holderData = holdersResult;
+    if (healthResult && healthResult.checkedAt) {
+        linkHealth = new Map(healthResult.links.map(entry => [entry.url, entry]));
+        linkHealthCheckedAt = healthResult.checkedAt;
+    }
 
-    // If links loaded successfully, render them
+    // If links loaded successfully, render the view stored in the URL ("All" by default)
     if (wooLinks.length > 0) {
-        renderLinksWithSections(); // Start with sections since "All" is default
         initializeFilters();
+        initializeSearch();
+        initializeUserLinks();
+    }
+});
+
+// Replace offline figures with live ones as soon as the connection returns
+window.addEventListener('online', () => {
+    if (document.querySelector('#stats-container .offline-badge')) {
+        loadStats();
     }
 });
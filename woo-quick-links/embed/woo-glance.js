@@ -0,0 +1,346 @@
+/**
+ * <woo-glance> embeddable widget
+ * Renders the WOO stat cards and the supply distribution doughnut on any site.
+ *
+ * Script tag:
+ *   <script type="module" src="https://<site>/embed/woo-glance.js"></script>
+ *   <woo-glance theme="light" size="small" show="stats chart" currency="usd"></woo-glance>
+ *
+ * Iframe (no script on the host page):
+ *   <iframe src="https://<site>/embed/?theme=light&size=small" width="600" height="520"></iframe>
+ *
+ * Attributes:
+ *   theme    - dark (default) or light
+ *   size     - small, medium (default) or large
+ *   show     - any of "stats" and "chart", space separated (default both)
+ *   currency - a currency from js/preferences.js (default: the viewer's selection)
+ */
+
+import { fetchWOOMetrics, fetchDataFile } from '../js/api.js';
+import { createDistributionChart, createDistributionDataTable, loadChartJs, DEFAULT_CHAIN_COLOR } from '../js/distribution-chart.js';
+import { renderStatCards } from '../js/stats-view.js';
+import { formatTimeAgo } from '../js/format.js';
+import { SUPPORTED_CURRENCIES } from '../js/preferences.js';
+import { t } from '../js/i18n.js';
+
+const THEMES = ['dark', 'light'];
+const SIZES = ['small', 'medium', 'large'];
+const PARTS = ['stats', 'chart'];
+
+// Full page the widget links back to
+const SITE_URL = new URL('../', import.meta.url).href;
+
+const WIDGET_STYLES = `
+    :host {
+        --woo-background: #000000;
+        --woo-card-background: #1a1a1a;
+        --woo-border: #333;
+        --woo-text: #ffffff;
+        --woo-muted: #888;
+        --woo-accent: #00A9DE;
+        display: block;
+        font-family: 'IBM Plex Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        color: var(--woo-text);
+    }
+
+    :host([theme="light"]) {
+        --woo-background: #ffffff;
+        --woo-card-background: #f5f7fa;
+        --woo-border: #dde3ea;
+        --woo-text: #1a1a1a;
+        --woo-muted: #667085;
+        --woo-accent: #0088b3;
+    }
+
+    .widget {
+        background: var(--woo-background);
+        border: 1px solid var(--woo-border);
+        border-radius: 12px;
+        padding: 16px;
+    }
+
+    .stats {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 12px;
+    }
+
+    .stat-card {
+        background: var(--woo-card-background);
+        border: 1px solid var(--woo-border);
+        border-radius: 8px;
+        padding: 14px;
+        text-align: center;
+    }
+
+    .stat-label {
+        font-size: 0.75rem;
+        color: var(--woo-muted);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        margin-bottom: 6px;
+    }
+
+    .estimate-badge {
+        margin-left: 4px;
+        padding: 0 4px;
+        border: 1px solid var(--woo-border);
+        border-radius: 4px;
+        font-size: 0.65rem;
+    }
+
+    .stat-value {
+        font-size: 1.4rem;
+        font-weight: 700;
+        color: var(--woo-accent);
+    }
+
+    .change-badge {
+        display: inline-block;
+        vertical-align: middle;
+        margin-left: 4px;
+        padding: 1px 6px;
+        border-radius: 6px;
+        font-size: 0.7rem;
+        font-weight: 600;
+    }
+
+    .change-badge.positive {
+        color: #16a34a;
+        background: rgba(74, 222, 128, 0.12);
+    }
+
+    .change-badge.negative {
+        color: #e5484d;
+        background: rgba(255, 107, 107, 0.12);
+    }
+
+    .chart {
+        position: relative;
+        margin-top: 16px;
+        max-width: 560px;
+        margin-left: auto;
+        margin-right: auto;
+    }
+
+    .footer {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        margin-top: 12px;
+        font-size: 0.75rem;
+        color: var(--woo-muted);
+    }
+
+    .footer a {
+        color: var(--woo-accent);
+        text-decoration: none;
+    }
+
+    .status {
+        padding: 24px;
+        text-align: center;
+        color: var(--woo-muted);
+    }
+
+    /* Read by screen readers, not shown */
+    .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        padding: 0;
+        margin: -1px;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+    }
+
+    :host([size="small"]) .widget {
+        padding: 12px;
+    }
+
+    :host([size="small"]) .stats {
+        grid-template-columns: repeat(2, 1fr);
+        gap: 8px;
+    }
+
+    :host([size="small"]) .stat-card {
+        padding: 10px;
+    }
+
+    :host([size="small"]) .stat-value {
+        font-size: 1.1rem;
+    }
+
+    :host([size="small"]) .chart {
+        max-width: 320px;
+    }
+
+    :host([size="large"]) .stats {
+        grid-template-columns: repeat(6, 1fr);
+    }
+
+    :host([size="large"]) .stat-value {
+        font-size: 1.6rem;
+    }
+
+    :host([size="large"]) .chart {
+        max-width: 720px;
+    }
+`;
+
+/**
+ * Reads an attribute, falling back when it is missing or not an allowed value
+ * @param {HTMLElement} element - Element to read from
+ * @param {string} name - Attribute name
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} fallback - Value used otherwise
+ * @returns {string} Attribute value or fallback
+ */
+function readOption(element, name, allowed, fallback) {
+    const value = (element.getAttribute(name) || '').toLowerCase();
+    return allowed.includes(value) ? value : fallback;
+}
+
+/**
+ * Loads the per-chain balances and registry colors for the doughnut
+ * @returns {Promise<Object>} { explorerLinks, colors } sorted by balance, highest first
+ */
+async function loadDistribution() {
+    const [links, categories, chains] = await Promise.all([
+        fetchDataFile('links.json'),
+        fetchDataFile('categories.json'),
+        fetchDataFile('chains.json').catch(() => [])
+    ]);
+
+    // Same links as the Distribution section of the full page
+    const distributionCategories = categories
+        .filter(category => category.render === 'distribution-table')
+        .map(category => category.id);
+
+    const explorerLinks = links
+        .filter(link => distributionCategories.includes(link.category))
+        .sort((a, b) => (b.tokenBalance || 0) - (a.tokenBalance || 0));
+
+    const colors = explorerLinks.map(link => {
+        const chain = chains.find(entry => entry.id === link.chain);
+        return chain ? chain.color : DEFAULT_CHAIN_COLOR;
+    });
+
+    return { explorerLinks, colors };
+}
+
+class WooGlance extends HTMLElement {
+    static get observedAttributes() {
+        return ['theme', 'size', 'show', 'currency'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.chart = null;
+        this.renderId = 0;
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    disconnectedCallback() {
+        this.destroyChart();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.isConnected && oldValue !== newValue) {
+            this.render();
+        }
+    }
+
+    /**
+     * Returns the options set through attributes, with defaults applied
+     * @returns {Object} { theme, size, parts, currency }
+     */
+    getOptions() {
+        const parts = (this.getAttribute('show') || PARTS.join(' '))
+            .toLowerCase()
+            .split(/[\s,]+/)
+            .filter(part => PARTS.includes(part));
+
+        return {
+            theme: readOption(this, 'theme', THEMES, 'dark'),
+            size: readOption(this, 'size', SIZES, 'medium'),
+            parts: parts.length > 0 ? parts : PARTS,
+            currency: readOption(this, 'currency', SUPPORTED_CURRENCIES, undefined)
+        };
+    }
+
+    /**
+     * Releases the Chart.js instance so its canvas and listeners can be collected
+     */
+    destroyChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Fetches the data and (re)draws the widget
+     */
+    async render() {
+        // Attribute changes can start a new render before the last one finishes
+        const renderId = ++this.renderId;
+        const options = this.getOptions();
+
+        this.destroyChart();
+        this.shadowRoot.innerHTML = `
+            <style>${WIDGET_STYLES}</style>
+            <div class="widget"><div class="status" role="status">${t('stats.loading')}</div></div>
+        `;
+
+        try {
+            const [metrics, distribution] = await Promise.all([
+                options.parts.includes('stats') ? fetchWOOMetrics({ currency: options.currency }) : null,
+                options.parts.includes('chart') ? loadDistribution() : null,
+                options.parts.includes('chart') ? loadChartJs() : null
+            ]);
+            if (renderId !== this.renderId) return;
+
+            const widget = this.shadowRoot.querySelector('.widget');
+            widget.innerHTML = `
+                ${metrics ? `<div class="stats">${renderStatCards(metrics)}</div>` : ''}
+                ${distribution ? '<div class="chart"><canvas></canvas></div>' : ''}
+                <div class="footer">
+                    <span>${metrics ? t('stats.updated', { time: formatTimeAgo(metrics.lastUpdated) }) : ''}</span>
+                    <a href="${SITE_URL}" target="_blank" rel="noopener noreferrer">WOO at a glance ↗</a>
+                </div>
+            `;
+
+            if (distribution) {
+                widget.querySelector('.chart').appendChild(createDistributionDataTable(distribution.explorerLinks));
+                this.chart = createDistributionChart(
+                    widget.querySelector('canvas'),
+                    distribution.explorerLinks,
+                    distribution.colors,
+                    {
+                        theme: options.theme,
+                        legendPosition: options.size === 'small' ? 'bottom' : 'right',
+                        fontSize: options.size === 'small' ? 11 : 13
+                    }
+                );
+            }
+        } catch (error) {
+            console.error('Error rendering WOO widget:', error);
+            if (renderId !== this.renderId) return;
+
+            this.shadowRoot.querySelector('.widget').innerHTML = `
+                <div class="status" role="status">${t('stats.loadFailed')}</div>
+            `;
+        }
+    }
+}
+
+if (!customElements.get('woo-glance')) {
+    customElements.define('woo-glance', WooGlance);
+}
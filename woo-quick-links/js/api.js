@@ -1,11 +1,30 @@
 /**
  * API integration for WOO token metrics
- * Handles data fetching with caching via localStorage
+ * Reads the data/metrics.json snapshot written by the scheduled workflow and
+ * falls back to the live APIs (cached via localStorage) when it is stale
  */
 
+import { getCurrency, SUPPORTED_CURRENCIES } from './preferences.js';
+
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
+const METRICS_SNAPSHOT_MAX_AGE = 7 * 60 * 60 * 1000; // 7 hours - update-metrics.yml refreshes it every 6 hours
 const MAX_SUPPLY = 3000000000; // 3 billion WOO max supply
-const LOCKED_SUPPLY = 300000000; // 300 million locked
+// 300 million locked. Used until treasury/vesting holders are added to
+// data/holders.json; the stat cards mark circulating supply as an estimate meanwhile
+const LOCKED_SUPPLY = 300000000;
+
+// Data files live next to js/, so resolve them from this module rather than
+// the page (the embed widget runs on other paths and other sites)
+const DATA_BASE_URL = new URL('../data/', import.meta.url);
+
+// Public distribution and supply files built by .github/scripts/build-data-api.js
+const PUBLIC_API_BASE_URL = new URL('../api/v1/', import.meta.url);
+
+// Last successfully computed metrics per currency, shown when offline
+const LAST_METRICS_STORAGE_KEY = 'woo_last_metrics';
+
+// Shared request for data/holders.json (used by metrics and the holder breakdown)
+let holderDataPromise = null;
 
 /**
  * Fetches WOO token total supply from WOO Network API
@@ -22,11 +41,11 @@ async function fetchTotalSupply() {
 
 /**
  * Fetches WOO token price and market data from CoinGecko
- * @returns {Promise<Object>} Price data including USD price and market cap
+ * @returns {Promise<Object>} Price, market cap and 24h change for every supported currency
  */
 async function fetchPriceData() {
     const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=woo-network&vs_currencies=usd&include_market_cap=true&include_24hr_change=true'
+        `https://api.coingecko.com/api/v3/simple/price?ids=woo-network&vs_currencies=${SUPPORTED_CURRENCIES.join(',')}&include_market_cap=true&include_24hr_change=true`
     );
     if (!response.ok) {
         throw new Error(`Failed to fetch price data: ${response.status}`);
@@ -35,63 +54,225 @@ async function fetchPriceData() {
     return data['woo-network'];
 }
 
+/**
+ * Fetches the build-time metrics snapshot if it is fresh enough to use
+ * @returns {Promise<Object|null>} Snapshot from data/metrics.json, or null if missing or stale
+ */
+async function fetchMetricsSnapshot() {
+    try {
+        const response = await fetch(new URL('metrics.json', DATA_BASE_URL), { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch metrics snapshot: ${response.status}`);
+        }
+        const snapshot = await response.json();
+
+        const fetchedAt = Date.parse(snapshot.fetchedAt);
+        if (!fetchedAt || Date.now() - fetchedAt > METRICS_SNAPSHOT_MAX_AGE) {
+            return null;
+        }
+        if (typeof snapshot.price !== 'number' || typeof snapshot.totalSupply !== 'number') {
+            return null;
+        }
+
+        return snapshot;
+    } catch (error) {
+        console.error('Error fetching metrics snapshot:', error);
+        return null;
+    }
+}
+
+/**
+ * Converts the snapshot's per-currency figures to CoinGecko's simple/price shape
+ * @param {Object} snapshot - Snapshot from data/metrics.json
+ * @returns {Object} Price data keyed like { usd, usd_market_cap, usd_24h_change, eur, ... }
+ */
+function snapshotToPriceData(snapshot) {
+    const currencies = snapshot.currencies || {
+        usd: { price: snapshot.price, marketCap: snapshot.marketCap, priceChange24h: snapshot.priceChange24h }
+    };
+
+    const priceData = {};
+    Object.entries(currencies).forEach(([currency, figures]) => {
+        priceData[currency] = figures.price;
+        priceData[`${currency}_market_cap`] = figures.marketCap;
+        priceData[`${currency}_24h_change`] = figures.priceChange24h;
+    });
+    return priceData;
+}
+
+/**
+ * Loads total supply and price data, preferring the build-time snapshot
+ * @param {string} currency - Currency the price data must include
+ * @param {boolean} forceRefresh - Skip the snapshot and the localStorage cache
+ * and query the live APIs (the snapshot can be hours old)
+ * @returns {Promise<Object>} { totalSupply, priceData, lastUpdated }
+ */
+async function fetchMarketData(currency, forceRefresh) {
+    const snapshot = forceRefresh ? null : await fetchMetricsSnapshot();
+
+    if (snapshot) {
+        const priceData = snapshotToPriceData(snapshot);
+        if (typeof priceData[currency] === 'number') {
+            return {
+                totalSupply: snapshot.totalSupply,
+                priceData,
+                lastUpdated: Date.parse(snapshot.fetchedAt)
+            };
+        }
+    }
+
+    // Snapshot missing, stale or without this currency - query the live APIs from the browser
+    let [totalSupply, priceData] = await Promise.all([
+        getCachedOrFetch('woo_total_supply', fetchTotalSupply, forceRefresh),
+        getCachedOrFetch('woo_price_data', fetchPriceData, forceRefresh)
+    ]);
+
+    // Entries cached before a currency was supported need a fresh request
+    if (typeof priceData.data[currency] !== 'number') {
+        priceData = await getCachedOrFetch('woo_price_data', fetchPriceData, true);
+    }
+
+    // The older of the two cache entries determines how fresh the figures are
+    return {
+        totalSupply: totalSupply.data,
+        priceData: priceData.data,
+        lastUpdated: Math.min(totalSupply.timestamp, priceData.timestamp)
+    };
+}
+
+/**
+ * Fetches one of the site's data files
+ * @param {string} fileName - File in data/, e.g. 'links.json'
+ * @returns {Promise<*>} Parsed JSON
+ */
+export async function fetchDataFile(fileName) {
+    const response = await fetch(new URL(fileName, DATA_BASE_URL));
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${fileName}: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Returns the URL of a public data file
+ * @param {string} fileName - File in api/v1/, e.g. 'distribution.csv'
+ * @returns {string} Absolute URL
+ */
+export function getPublicApiUrl(fileName) {
+    return new URL(fileName, PUBLIC_API_BASE_URL).href;
+}
+
+/**
+ * Fetches labelled holder balances written by the balance workflow
+ * @returns {Promise<Object|null>} holders.json contents, or null if unavailable
+ */
+export function fetchHolderData() {
+    if (!holderDataPromise) {
+        holderDataPromise = fetch(new URL('holders.json', DATA_BASE_URL))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch holders: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.error('Error fetching holder data:', error);
+                return null;
+            });
+    }
+    return holderDataPromise;
+}
+
+/**
+ * Derives locked and burn-address amounts from labelled holder balances
+ * @param {Object|null} holderData - holders.json contents
+ * @returns {Object} { lockedSupply, burnAddressBalance, lockedFromChain }
+ */
+function getHolderAmounts(holderData) {
+    const holders = holderData ? holderData.holders : [];
+    const totals = holderData ? holderData.totals : {};
+
+    // Only trust on-chain locked figures once treasury/vesting holders have been read
+    const hasLockedHolders = holders.some(holder =>
+        (holder.kind === 'treasury' || holder.kind === 'vesting') && typeof holder.balance === 'number'
+    );
+
+    return {
+        lockedSupply: hasLockedHolders ? (totals.treasury || 0) + (totals.vesting || 0) : LOCKED_SUPPLY,
+        burnAddressBalance: totals.burn || 0,
+        lockedFromChain: hasLockedHolders
+    };
+}
+
 /**
  * Gets cached data or fetches fresh data if cache is expired
  * @param {string} cacheKey - Key for localStorage
  * @param {Function} fetchFunction - Function to fetch fresh data
- * @returns {Promise<any>} Cached or fresh data
+ * @param {boolean} forceRefresh - Ignore the cache and always fetch
+ * @returns {Promise<Object>} { data, timestamp } where timestamp is when the data was fetched
  */
-async function getCachedOrFetch(cacheKey, fetchFunction) {
+async function getCachedOrFetch(cacheKey, fetchFunction, forceRefresh = false) {
     const cached = localStorage.getItem(cacheKey);
 
-    if (cached) {
+    if (cached && !forceRefresh) {
         const { data, timestamp } = JSON.parse(cached);
         const age = Date.now() - timestamp;
 
         if (age < CACHE_DURATION) {
-            return data;
+            return { data, timestamp };
         }
     }
 
     // Fetch fresh data
     const freshData = await fetchFunction();
+    const timestamp = Date.now();
 
     // Cache it
     localStorage.setItem(cacheKey, JSON.stringify({
         data: freshData,
-        timestamp: Date.now()
+        timestamp
     }));
 
-    return freshData;
+    return { data: freshData, timestamp };
 }
 
 /**
  * Fetches all WOO token metrics
- * @returns {Promise<Object>} Object containing all metrics
+ * @param {Object} options - { forceRefresh } to bypass the snapshot and localStorage cache,
+ * { currency } to price in something other than the selected currency
+ * @returns {Promise<Object>} Object containing all metrics, priced in the requested currency
  */
-export async function fetchWOOMetrics() {
+export async function fetchWOOMetrics({ forceRefresh = false, currency = getCurrency() } = {}) {
     try {
-        // Fetch both APIs in parallel
-        const [totalSupply, priceData] = await Promise.all([
-            getCachedOrFetch('woo_total_supply', fetchTotalSupply),
-            getCachedOrFetch('woo_price_data', fetchPriceData)
+        // Fetch market data and the on-chain holder balances in parallel
+        const [{ totalSupply, priceData, lastUpdated }, holderData] = await Promise.all([
+            fetchMarketData(currency, forceRefresh),
+            fetchHolderData()
         ]);
 
-        // Calculate derived metrics
-        const circulatingSupply = totalSupply - LOCKED_SUPPLY;
-        const burnedAmount = MAX_SUPPLY - totalSupply;
-        const fdv = priceData.usd * MAX_SUPPLY;
+        // Calculate derived metrics. Tokens parked at burn addresses still count
+        // towards totalSupply, so they are moved from circulating to burned.
+        const { lockedSupply, burnAddressBalance, lockedFromChain } = getHolderAmounts(holderData);
+        const circulatingSupply = totalSupply - lockedSupply - burnAddressBalance;
+        const burnedAmount = MAX_SUPPLY - totalSupply + burnAddressBalance;
+        const fdv = priceData[currency] * MAX_SUPPLY;
 
-        return {
+        const metrics = {
             totalSupply,
             circulatingSupply,
+            lockedSupply,
+            lockedFromChain,
             burnedAmount,
-            price: priceData.usd,
-            marketCap: priceData.usd_market_cap,
-            priceChange24h: priceData.usd_24h_change,
+            currency,
+            price: priceData[currency],
+            marketCap: priceData[`${currency}_market_cap`],
+            priceChange24h: priceData[`${currency}_24h_change`],
             fdv,
-            lastUpdated: Date.now()
+            lastUpdated
         };
+
+        saveLastKnownMetrics(metrics);
+        return metrics;
     } catch (error) {
         console.error('Error fetching WOO metrics:', error);
         throw error;
@@ -99,35 +280,29 @@ export async function fetchWOOMetrics() {
 }
 
 /**
- * Formats large numbers with B/M suffixes
- * @param {number} num - Number to format
- * @param {number} decimals - Decimal places (default 2)
- * @returns {string} Formatted number
+ * Remembers metrics so they can be shown when a later fetch fails
+ * @param {Object} metrics - Metrics returned by fetchWOOMetrics
  */
-export function formatNumber(num, decimals = 2) {
-    if (num >= 1e9) {
-        return (num / 1e9).toFixed(decimals) + 'B';
-    }
-    if (num >= 1e6) {
-        return (num / 1e6).toFixed(decimals) + 'M';
-    }
-    if (num >= 1e3) {
-        return (num / 1e3).toFixed(decimals) + 'K';
+function saveLastKnownMetrics(metrics) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LAST_METRICS_STORAGE_KEY)) || {};
+        stored[metrics.currency] = metrics;
+        localStorage.setItem(LAST_METRICS_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.error('Error saving last known metrics:', error);
     }
-    return num.toFixed(decimals);
 }
 
 /**
- * Formats currency values
- * @param {number} num - Number to format
- * @returns {string} Formatted currency
+ * Returns the most recent metrics fetched in the selected currency
+ * @returns {Object|null} Metrics as returned by fetchWOOMetrics, or null if none were saved
  */
-export function formatCurrency(num) {
-    if (num >= 1e9) {
-        return '$' + (num / 1e9).toFixed(2) + 'B';
-    }
-    if (num >= 1e6) {
-        return '$' + (num / 1e6).toFixed(2) + 'M';
+export function getLastKnownMetrics() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LAST_METRICS_STORAGE_KEY)) || {};
+        return stored[getCurrency()] || null;
+    } catch (error) {
+        console.error('Error reading last known metrics:', error);
+        return null;
     }
-    return '$' + num.toLocaleString('en-US', { maximumFractionDigits: 2 });
 }
@@ -0,0 +1,208 @@
+/**
+ * Ctrl/Cmd+K command palette
+ * A modal search box that jumps straight to a link: arrow keys move the
+ * selection, Enter opens it in a new tab, Escape closes the palette
+ */
+
+import { t, getLinkName } from './i18n.js';
+import { renderHighlightedText } from './search.js';
+
+// Results shown at once; more specific queries narrow the list
+const MAX_RESULTS = 8;
+
+/**
+ * Tells whether the keyboard event is the palette shortcut
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {boolean} True for Ctrl+K, or Cmd+K on macOS
+ */
+function isPaletteShortcut(event) {
+    return (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k';
+}
+
+/**
+ * Returns the shortcut as shown to the user on this platform
+ * @returns {string} '⌘K' on Apple platforms, 'Ctrl K' elsewhere
+ */
+export function getPaletteShortcutLabel() {
+    return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent) ? '⌘K' : 'Ctrl K';
+}
+
+/**
+ * Registers the keyboard shortcut and builds the palette on first use
+ * @param {Function} search - Returns ranked matches for a query (see searchLinks)
+ * @returns {Object} { open, close } for opening the palette from other controls
+ */
+export function initializeCommandPalette(search) {
+    let backdrop = null;
+    let input = null;
+    let list = null;
+    let results = [];
+    let activeIndex = 0;
+    let previousFocus = null;
+
+    const isOpen = () => backdrop !== null && !backdrop.hidden;
+
+    const setActive = (index) => {
+        activeIndex = index;
+        list.querySelectorAll('.palette-item').forEach((item, itemIndex) => {
+            const active = itemIndex === activeIndex;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) {
+                input.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    };
+
+    const openResult = (result) => {
+        window.open(result.link.url, '_blank', 'noopener,noreferrer');
+        close();
+    };
+
+    const renderResults = () => {
+        results = search(input.value).slice(0, MAX_RESULTS);
+        list.innerHTML = '';
+        input.removeAttribute('aria-activedescendant');
+
+        if (input.value.trim() && results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'palette-empty';
+            empty.textContent = t('search.noResults', { query: input.value.trim() });
+            list.appendChild(empty);
+            return;
+        }
+
+        results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'palette-item';
+            item.id = `palette-item-${index}`;
+            item.setAttribute('role', 'option');
+
+            const icon = document.createElement('img');
+            icon.src = result.link.image;
+            icon.alt = '';
+
+            const name = document.createElement('span');
+            name.className = 'palette-name';
+            renderHighlightedText(name, getLinkName(result.link), result.nameRanges);
+
+            // Show what matched when it was not the name
+            const detail = document.createElement('span');
+            detail.className = 'palette-detail';
+            if (result.field === 'name') {
+                detail.textContent = result.categoryName;
+            } else {
+                renderHighlightedText(detail, result.text, result.ranges);
+            }
+
+            item.appendChild(icon);
+            item.appendChild(name);
+            item.appendChild(detail);
+            item.addEventListener('mousemove', () => setActive(index));
+            item.addEventListener('click', () => openResult(result));
+            list.appendChild(item);
+        });
+
+        if (results.length > 0) {
+            setActive(0);
+        }
+    };
+
+    const build = () => {
+        backdrop = document.createElement('div');
+        backdrop.className = 'palette-backdrop';
+        backdrop.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'palette';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+
+        input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'palette-input';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-controls', 'palette-results');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.autocomplete = 'off';
+
+        list = document.createElement('ul');
+        list.className = 'palette-results';
+        list.id = 'palette-results';
+        list.setAttribute('role', 'listbox');
+
+        const hint = document.createElement('div');
+        hint.className = 'palette-hint';
+
+        dialog.appendChild(input);
+        dialog.appendChild(list);
+        dialog.appendChild(hint);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+
+        input.addEventListener('input', renderResults);
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown' && results.length > 0) {
+                event.preventDefault();
+                setActive((activeIndex + 1) % results.length);
+            } else if (event.key === 'ArrowUp' && results.length > 0) {
+                event.preventDefault();
+                setActive((activeIndex - 1 + results.length) % results.length);
+            } else if (event.key === 'Enter' && results[activeIndex]) {
+                event.preventDefault();
+                openResult(results[activeIndex]);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+            }
+        });
+
+        // Clicking outside the dialog closes it
+        backdrop.addEventListener('mousedown', (event) => {
+            if (event.target === backdrop) {
+                close();
+            }
+        });
+    };
+
+    function open() {
+        if (!backdrop) {
+            build();
+        }
+
+        // Labels are set on every open so they follow the current language
+        backdrop.querySelector('.palette').setAttribute('aria-label', t('palette.label'));
+        backdrop.querySelector('.palette-hint').textContent = t('palette.hint');
+        input.placeholder = t('palette.placeholder');
+
+        previousFocus = document.activeElement;
+        backdrop.hidden = false;
+        input.value = '';
+        renderResults();
+        input.focus();
+    }
+
+    function close() {
+        if (!isOpen()) return;
+
+        backdrop.hidden = true;
+        if (previousFocus && typeof previousFocus.focus === 'function') {
+            previousFocus.focus();
+        }
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if (isPaletteShortcut(event)) {
+            event.preventDefault();
+            if (isOpen()) {
+                close();
+            } else {
+                open();
+            }
+        }
+    });
+
+    return { open, close };
+}
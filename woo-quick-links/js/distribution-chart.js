@@ -0,0 +1,192 @@
+/**
+ * Doughnut chart of WOO supply by chain
+ * Shared by the Distribution section in app.js and the embeddable widget
+ */
+
+import { t } from './i18n.js';
+import { formatNumber, formatPercent } from './format.js';
+
+// Pinned Chart.js build, also loaded by index.html and precached by sw.js
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js';
+
+const FONT_FAMILY = "'IBM Plex Sans', sans-serif";
+
+// Color used for chains missing from the registry
+export const DEFAULT_CHAIN_COLOR = '#00A9DE';
+
+// Legend and tooltip colors for dark and light backgrounds
+const CHART_THEMES = {
+    dark: {
+        text: '#ffffff',
+        segmentBorder: '#1a1a1a',
+        tooltipBackground: '#222',
+        tooltipBorder: '#333',
+        tooltipTitle: '#00A9DE'
+    },
+    light: {
+        text: '#1a1a1a',
+        segmentBorder: '#ffffff',
+        tooltipBackground: '#ffffff',
+        tooltipBorder: '#ddd',
+        tooltipTitle: '#0088b3'
+    }
+};
+
+// Shared request for the Chart.js script when the host page has not loaded it
+let chartJsPromise = null;
+
+/**
+ * Loads Chart.js from the CDN unless the page already has it
+ * @returns {Promise<void>} Resolves once window.Chart is available
+ */
+export function loadChartJs() {
+    if (typeof Chart !== 'undefined') {
+        return Promise.resolve();
+    }
+
+    if (!chartJsPromise) {
+        chartJsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CHART_JS_URL;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                chartJsPromise = null;
+                reject(new Error(`Failed to load ${CHART_JS_URL}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return chartJsPromise;
+}
+
+/**
+ * Draws the supply distribution doughnut
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on (must be in the DOM)
+ * @param {Array} explorerLinks - Explorer link objects with name and tokenBalance
+ * @param {Array<string>} colors - Segment color for each link
+ * @param {Object} options - { theme: 'dark' | 'light', legendPosition, fontSize }
+ * @returns {Object} Chart.js instance
+ */
+export function createDistributionChart(canvas, explorerLinks, colors, {
+    theme = 'dark',
+    legendPosition = 'right',
+    fontSize = 13
+} = {}) {
+    const palette = CHART_THEMES[theme] || CHART_THEMES.dark;
+
+    // The canvas is opaque to screen readers; the figures are in createDistributionDataTable
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', t('chart.label'));
+
+    return new Chart(canvas, {
+        type: 'doughnut',
+        data: {
+            labels: explorerLinks.map(link => link.name),
+            datasets: [{
+                data: explorerLinks.map(link => link.tokenBalance || 0),
+                backgroundColor: colors,
+                borderColor: palette.segmentBorder,
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            color: palette.text,
+            plugins: {
+                legend: {
+                    position: legendPosition,
+                    labels: {
+                        color: palette.text,
+                        font: {
+                            family: FONT_FAMILY,
+                            size: fontSize
+                        },
+                        padding: 15,
+                        usePointStyle: true,
+                        pointStyle: 'circle',
+                        generateLabels: (chart) => {
+                            const data = chart.data;
+                            const total = data.datasets[0].data.reduce((a, b) => a + b, 0);
+                            return data.labels.map((label, i) => {
+                                const value = data.datasets[0].data[i];
+                                return {
+                                    text: `${label} (${formatPercent((value / total) * 100)})`,
+                                    fillStyle: data.datasets[0].backgroundColor[i],
+                                    strokeStyle: data.datasets[0].backgroundColor[i],
+                                    fontColor: palette.text,
+                                    hidden: false,
+                                    index: i
+                                };
+                            });
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: palette.tooltipBackground,
+                    titleColor: palette.tooltipTitle,
+                    bodyColor: palette.text,
+                    borderColor: palette.tooltipBorder,
+                    borderWidth: 1,
+                    padding: 12,
+                    displayColors: true,
+                    titleFont: {
+                        family: FONT_FAMILY,
+                        size: 13
+                    },
+                    bodyFont: {
+                        family: FONT_FAMILY,
+                        size: 12
+                    },
+                    callbacks: {
+                        label: (context) => {
+                            const value = context.parsed;
+                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                            return `${formatNumber(value)} WOO (${formatPercent((value / total) * 100)})`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Builds a visually hidden table with the doughnut's figures for screen readers
+ * @param {Array} explorerLinks - Explorer link objects with name and tokenBalance
+ * @returns {HTMLTableElement} Table with network, quantity and share columns
+ */
+export function createDistributionDataTable(explorerLinks) {
+    const total = explorerLinks.reduce((sum, link) => sum + (link.tokenBalance || 0), 0);
+
+    const table = document.createElement('table');
+    table.className = 'sr-only';
+
+    const caption = document.createElement('caption');
+    caption.textContent = t('chart.caption');
+    table.appendChild(caption);
+
+    const headerRow = table.createTHead().insertRow();
+    [t('table.network'), t('table.quantity'), t('table.percentOfSupply')].forEach(label => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    explorerLinks.forEach(link => {
+        const value = link.tokenBalance || 0;
+        const row = body.insertRow();
+
+        const name = document.createElement('th');
+        name.scope = 'row';
+        name.textContent = link.name;
+        row.appendChild(name);
+
+        row.insertCell().textContent = `${formatNumber(value)} WOO`;
+        row.insertCell().textContent = total > 0 ? formatPercent((value / total) * 100) : '-';
+    });
+
+    return table;
+}
@@ -0,0 +1,105 @@
+/**
+ * Locale-aware number formatting built on Intl.NumberFormat
+ * Uses the locale and currency from preferences.js
+ */
+
+import { getCurrency, getLocale } from './preferences.js';
+
+/**
+ * Formats large numbers with compact notation for the current locale (e.g. 1.70B, 17亿)
+ * @param {number} num - Number to format
+ * @param {number} decimals - Decimal places (default 2)
+ * @returns {string} Formatted number
+ */
+export function formatNumber(num, decimals = 2) {
+    return new Intl.NumberFormat(getLocale(), {
+        notation: 'compact',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(num);
+}
+
+/**
+ * Formats currency values with compact notation
+ * @param {number} num - Amount in the given currency
+ * @param {string} currency - Currency code (defaults to the selected currency)
+ * @returns {string} Formatted currency
+ */
+export function formatCurrency(num, currency = getCurrency()) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency: currency.toUpperCase(),
+        notation: 'compact',
+        maximumFractionDigits: 2
+    }).format(num);
+}
+
+/**
+ * Formats a token price, keeping enough precision for sub-unit prices
+ * (e.g. a WOO price quoted in BTC)
+ * @param {number} num - Price in the given currency
+ * @param {string} currency - Currency code (defaults to the selected currency)
+ * @returns {string} Formatted price
+ */
+export function formatPrice(num, currency = getCurrency()) {
+    const precision = num >= 1
+        ? { minimumFractionDigits: 2, maximumFractionDigits: 2 }
+        : { minimumSignificantDigits: 2, maximumSignificantDigits: 4 };
+
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency: currency.toUpperCase(),
+        ...precision
+    }).format(num);
+}
+
+/**
+ * Formats a percentage, e.g. "12.5%"
+ * @param {number} num - Percentage (12.5 for 12.5%)
+ * @param {number} decimals - Decimal places (default 1)
+ * @returns {string} Formatted percentage
+ */
+export function formatPercent(num, decimals = 1) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'percent',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(num / 100);
+}
+
+/**
+ * Formats a signed percentage change, e.g. "+2.50%"
+ * @param {number} num - Percentage change (2.5 for +2.5%)
+ * @param {number} decimals - Decimal places (default 2)
+ * @returns {string} Formatted change
+ */
+export function formatPercentChange(num, decimals = 2) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'percent',
+        signDisplay: 'exceptZero',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(num / 100);
+}
+
+/**
+ * Formats how long ago a timestamp was, e.g. "5 min. ago"
+ * @param {number} timestamp - Time in milliseconds since epoch
+ * @returns {string} Relative time
+ */
+export function formatTimeAgo(timestamp) {
+    const formatter = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto', style: 'short' });
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+    if (minutes < 1) {
+        return formatter.format(0, 'second');
+    }
+    if (minutes < 60) {
+        return formatter.format(-minutes, 'minute');
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        return formatter.format(-hours, 'hour');
+    }
+    return formatter.format(-Math.floor(hours / 24), 'day');
+}
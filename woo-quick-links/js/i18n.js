@@ -0,0 +1,76 @@
+/**
+ * Message-catalog based translations
+ * Static markup opts in with data-i18n (text), data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label attributes
+ */
+
+import en from './locales/en.js';
+import zh from './locales/zh.js';
+import { getLanguage } from './preferences.js';
+
+const CATALOGS = { en, zh };
+
+/**
+ * Translates a message key into the current language
+ * @param {string} key - Message key, e.g. 'stats.price'
+ * @param {Object} params - Values for {placeholders} in the message
+ * @returns {string} Translated message (English, then the key itself, as fallback)
+ */
+export function t(key, params = {}) {
+    const catalog = CATALOGS[getLanguage()] || en;
+    const message = catalog[key] ?? en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Picks the current language's entry from per-language text in data files
+ * @param {Object} text - Text keyed by language, e.g. { en: 'Social', zh: '社区' }
+ * @returns {string} Localized text, falling back to English
+ */
+export function localize(text) {
+    return text[getLanguage()] || text.en;
+}
+
+/**
+ * Returns a link's display name for the current language
+ * @param {Object} link - Link object with name and optional names map, e.g. { zh: '...' }
+ * @returns {string} Localized name
+ */
+export function getLinkName(link) {
+    return (link.names && link.names[getLanguage()]) || link.name;
+}
+
+/**
+ * Moves links written for the current language ahead of the others,
+ * keeping the original order within each group
+ * @param {Array} links - Link objects with an optional language field
+ * @returns {Array} New array with matching-language links first
+ */
+export function orderByLanguage(links) {
+    const language = getLanguage();
+    return [
+        ...links.filter(link => link.language === language),
+        ...links.filter(link => link.language !== language)
+    ];
+}
+
+/**
+ * Applies translations to static markup that carries data-i18n attributes
+ * @param {ParentNode} root - Element to translate (defaults to the document)
+ */
+export function applyTranslations(root = document) {
+    document.documentElement.lang = getLanguage();
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.getAttribute('data-i18n-placeholder'));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.getAttribute('data-i18n-title'));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.getAttribute('data-i18n-aria-label')));
+    });
+}
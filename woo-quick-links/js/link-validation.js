@@ -0,0 +1,64 @@
+/**
+ * Client-side checks for links.json entries
+ * A lighter version of data/links.schema.json (enforced in CI by
+ * .github/scripts/validate-links.js) so one bad entry is skipped instead of
+ * breaking the page
+ */
+
+const REQUIRED_FIELDS = ['name', 'url', 'image', 'category'];
+
+// Extra fields needed to render a row in a distribution-table category
+const DISTRIBUTION_REQUIRED_FIELDS = ['chain', 'contractAddress'];
+
+/**
+ * Lists the problems that would stop a link from rendering
+ * @param {Object} link - Entry from links.json
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {Array<string>} Problems found, empty when the link is usable
+ */
+export function getLinkProblems(link, categories) {
+    if (!link || typeof link !== 'object' || Array.isArray(link)) {
+        return ['not an object'];
+    }
+
+    const problems = [];
+    const missing = (field) => typeof link[field] !== 'string' || link[field].trim() === '';
+
+    REQUIRED_FIELDS.filter(missing).forEach(field => problems.push(`missing ${field}`));
+
+    const category = categories.find(entry => entry.id === link.category);
+    if (!missing('category') && !category) {
+        problems.push(`unknown category "${link.category}"`);
+    }
+    if (!missing('url') && !/^https?:\/\//.test(link.url)) {
+        problems.push(`invalid url "${link.url}"`);
+    }
+    if (category && category.render === 'distribution-table') {
+        DISTRIBUTION_REQUIRED_FIELDS.filter(missing).forEach(field => problems.push(`missing ${field}`));
+    }
+
+    return problems;
+}
+
+/**
+ * Drops links that cannot be rendered, logging why each was skipped
+ * @param {Array} links - Parsed links.json
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {Array} Usable links, in their original order
+ */
+export function filterValidLinks(links, categories) {
+    if (!Array.isArray(links)) {
+        console.error('links.json must contain an array of links');
+        return [];
+    }
+
+    return links.filter((link, index) => {
+        const problems = getLinkProblems(link, categories);
+        if (problems.length > 0) {
+            const label = link && link.name ? `"${link.name}"` : `#${index}`;
+            console.warn(`Skipping link ${label} from links.json: ${problems.join(', ')}`);
+            return false;
+        }
+        return true;
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * English message catalog
+ * Keys are grouped by page area; {placeholders} are filled in by t()
+ */
+
+export default {
+    'header.title': 'at a glance',
+    'header.currency': 'Currency',
+    'header.language': 'Language',
+
+    'filters.all': 'All',
+    'filters.label': 'Filter links by category',
+
+    'search.placeholder': 'Search links',
+    'search.label': 'Search links by name, category, tag or contract address',
+    'search.noResults': 'No links match "{query}"',
+
+    'palette.open': 'Open the command palette',
+    'palette.label': 'Jump to a link',
+    'palette.placeholder': 'Type a link, tag or address...',
+    'palette.hint': '↑↓ to move · Enter to open · Esc to close',
+
+    'favorites.title': 'Favorites',
+    'favorites.add': 'Add {name} to favorites',
+    'favorites.remove': 'Remove {name} from favorites',
+
+    'customLinks.title': 'My links',
+    'customLinks.name': 'Name',
+    'customLinks.url': 'https://...',
+    'customLinks.icon': 'Icon URL (optional)',
+    'customLinks.category': 'Category',
+    'customLinks.add': 'Add link',
+    'customLinks.added': 'Added {name}',
+    'customLinks.invalid': 'Could not add link: {problems}',
+    'customLinks.remove': 'Remove {name}',
+    'customLinks.confirmRemove': 'Remove your custom link "{name}"?',
+    'customLinks.export': 'Export',
+    'customLinks.import': 'Import',
+    'customLinks.imported': 'Imported {customLinks} link(s) and {favorites} favorite(s); skipped {skipped}',
+    'customLinks.importFailed': 'Import failed: {reason}',
+
+    'links.loading': 'Loading links...',
+    'links.loadFailed': 'Failed to load links. Please refresh the page.',
+    'common.retry': 'Retry',
+
+    'stats.price': 'Price',
+    'stats.change24h': '24h change',
+    'stats.marketCap': 'Market Cap',
+    'stats.mcFdv': 'MC / FDV',
+    'stats.circSupply': 'Circ. Supply',
+    'stats.estimate': 'Est.',
+    'stats.lockedEstimateHint': 'Locked supply is the fixed 300M estimate until treasury and vesting addresses are tracked on-chain',
+    'stats.burned': 'Burned Amount',
+    'stats.fdv': 'FDV',
+    'stats.updated': 'Updated {time}',
+    'stats.refresh': '↻ Refresh',
+    'stats.refreshing': 'Refreshing...',
+    'stats.loading': 'Loading metrics...',
+    'stats.loaded': 'Metrics updated',
+    'stats.loadFailed': 'Failed to load metrics',
+    'stats.offline': 'Offline',
+    'stats.offlineHint': 'Live data is unavailable; showing the last figures loaded on this device',
+
+    'table.network': 'Network',
+    'table.contract': 'Contract',
+    'table.quantity': 'Quantity',
+    'table.change24h': '24h Change',
+    'table.percentOfSupply': '% of Supply',
+    'table.filterPlaceholder': 'Filter by network or address',
+    'table.filterLabel': 'Filter networks by name or contract address',
+    'table.noMatches': 'No networks match this filter',
+    'table.copyAddress': 'Copy address',
+    'table.copyContractAddress': 'Copy {name} contract address',
+    'table.copiedAddress': '{name} contract address copied',
+    'table.downloadCsv': 'Download CSV',
+    'table.copyJson': 'Copy JSON',
+    'table.copiedJson': 'Copied!',
+    'table.copiedJsonStatus': 'Distribution JSON copied to clipboard',
+    'table.copyFailed': 'Copy failed',
+    'table.since': 'Since {date}',
+    'table.lastKnownFrom': 'Last known value from {date}',
+    'table.lastKnown': 'Last known value (latest update failed)',
+    'table.label': 'WOO balance by network',
+
+    'chart.label': 'Doughnut chart of WOO supply by network',
+    'chart.caption': 'WOO supply by network',
+
+    'health.broken': 'Reported broken on {date}: {problems}',
+
+    'summary.totalTracked': 'Total tracked',
+    'summary.networks': 'Networks',
+    'summary.canonicalShare': 'On canonical chain',
+    'summary.bridgedShare': 'Bridged',
+    'summary.netChange': 'Net change (24h)',
+    'summary.stale': 'Stale networks',
+
+    'history.empty': 'Balance trends will appear once more daily snapshots are recorded.',
+    'history.range': '{days}d',
+    'history.rangeLabel': 'Trend range',
+    'history.label': 'Line chart of WOO balance by network over the last {days} days',
+    'history.caption': 'WOO balance by network, last {days} days',
+    'history.date': 'Date',
+
+    'holders.title': 'Known Holders',
+    'holders.holder': 'Holder',
+    'holders.type': 'Type',
+    'holders.network': 'Network',
+    'holders.address': 'Address',
+    'holders.quantity': 'Quantity',
+    'holders.kind.treasury': 'Treasury',
+    'holders.kind.vesting': 'Vesting',
+    'holders.kind.bridge': 'Bridge escrow',
+    'holders.kind.burn': 'Burn',
+
+    'reconciliation.title': 'Supply Reconciliation',
+    'reconciliation.apiTotal': 'Total supply (WOO Network API)',
+    'reconciliation.canonicalTotal': '{chain} totalSupply() on-chain',
+    'reconciliation.bridgedTotal': 'Supply on bridged chains',
+    'reconciliation.onChainSum': 'On-chain sum',
+    'reconciliation.implied': 'Implied locked or unaccounted (on-chain sum − API total)',
+    'reconciliation.bridgeEscrow': 'Held by labelled bridge escrows',
+    'reconciliation.unaccounted': 'Unaccounted',
+    'reconciliation.ok': 'On-chain figures match the API total: {percent} unaccounted (tolerance {tolerance})',
+    'reconciliation.warning': '⚠ {percent} of the API total supply is unaccounted for (tolerance {tolerance}), so "% of Supply" figures may be off',
+    'reconciliation.noApiTotal': 'The API total supply is unavailable, so the on-chain figures cannot be reconciled',
+    'reconciliation.lockAndMint': 'No bridge escrow addresses are configured in holders.json, so {chain} totalSupply() is compared with the API total directly. The two agree when bridged tokens are locked on {chain} and minted on the other chains.',
+    'reconciliation.asOf': 'On-chain figures from {date}'
+};
@@ -0,0 +1,128 @@
+/**
+ * Chinese (Simplified) message catalog
+ * Missing keys fall back to the English catalog
+ */
+
+export default {
+    'header.title': '一览',
+    'header.currency': '货币',
+    'header.language': '语言',
+
+    'filters.all': '全部',
+    'filters.label': '按分类筛选链接',
+
+    'search.placeholder': '搜索链接',
+    'search.label': '按名称、分类、标签或合约地址搜索链接',
+    'search.noResults': '没有与“{query}”匹配的链接',
+
+    'palette.open': '打开命令面板',
+    'palette.label': '跳转到链接',
+    'palette.placeholder': '输入链接名称、标签或地址...',
+    'palette.hint': '↑↓ 选择 · Enter 打开 · Esc 关闭',
+
+    'favorites.title': '收藏',
+    'favorites.add': '收藏 {name}',
+    'favorites.remove': '取消收藏 {name}',
+
+    'customLinks.title': '我的链接',
+    'customLinks.name': '名称',
+    'customLinks.url': 'https://...',
+    'customLinks.icon': '图标链接（可选）',
+    'customLinks.category': '分类',
+    'customLinks.add': '添加链接',
+    'customLinks.added': '已添加 {name}',
+    'customLinks.invalid': '无法添加链接：{problems}',
+    'customLinks.remove': '删除 {name}',
+    'customLinks.confirmRemove': '删除自定义链接“{name}”？',
+    'customLinks.export': '导出',
+    'customLinks.import': '导入',
+    'customLinks.imported': '已导入 {customLinks} 个链接和 {favorites} 个收藏，跳过 {skipped} 个',
+    'customLinks.importFailed': '导入失败：{reason}',
+
+    'links.loading': '正在加载链接...',
+    'links.loadFailed': '链接加载失败，请刷新页面。',
+    'common.retry': '重试',
+
+    'stats.price': '价格',
+    'stats.change24h': '24小时涨跌',
+    'stats.marketCap': '市值',
+    'stats.mcFdv': '市值 / 完全稀释估值',
+    'stats.circSupply': '流通量',
+    'stats.estimate': '估算',
+    'stats.lockedEstimateHint': '在追踪国库和归属地址之前，锁仓量使用固定的 3 亿估算值',
+    'stats.burned': '已销毁',
+    'stats.fdv': '完全稀释估值',
+    'stats.updated': '更新于{time}',
+    'stats.refresh': '↻ 刷新',
+    'stats.refreshing': '正在刷新...',
+    'stats.loading': '正在加载数据...',
+    'stats.loaded': '数据已更新',
+    'stats.loadFailed': '数据加载失败',
+    'stats.offline': '离线',
+    'stats.offlineHint': '无法获取实时数据，显示本设备上次加载的数据',
+
+    'table.network': '网络',
+    'table.contract': '合约',
+    'table.quantity': '数量',
+    'table.change24h': '24小时变化',
+    'table.percentOfSupply': '供应占比',
+    'table.filterPlaceholder': '按网络或地址筛选',
+    'table.filterLabel': '按网络名称或合约地址筛选',
+    'table.noMatches': '没有符合条件的网络',
+    'table.copyAddress': '复制地址',
+    'table.copyContractAddress': '复制 {name} 合约地址',
+    'table.copiedAddress': '已复制 {name} 合约地址',
+    'table.downloadCsv': '下载 CSV',
+    'table.copyJson': '复制 JSON',
+    'table.copiedJson': '已复制！',
+    'table.copiedJsonStatus': '分布数据 JSON 已复制到剪贴板',
+    'table.copyFailed': '复制失败',
+    'table.since': '自 {date} 起',
+    'table.lastKnownFrom': '最近一次有效数据：{date}',
+    'table.lastKnown': '最近一次有效数据（最新更新失败）',
+    'table.label': '各网络 WOO 余额',
+
+    'chart.label': '各网络 WOO 供应分布环形图',
+    'chart.caption': '各网络 WOO 供应量',
+
+    'health.broken': '{date} 检测到链接失效：{problems}',
+
+    'summary.totalTracked': '追踪总量',
+    'summary.networks': '网络数',
+    'summary.canonicalShare': '原生链占比',
+    'summary.bridgedShare': '跨链占比',
+    'summary.netChange': '净变化 (24小时)',
+    'summary.stale': '数据过期网络',
+
+    'history.empty': '记录更多每日快照后将显示余额趋势。',
+    'history.range': '{days}天',
+    'history.rangeLabel': '趋势时间范围',
+    'history.label': '近 {days} 天各网络 WOO 余额折线图',
+    'history.caption': '近 {days} 天各网络 WOO 余额',
+    'history.date': '日期',
+
+    'holders.title': '已知持有地址',
+    'holders.holder': '持有者',
+    'holders.type': '类型',
+    'holders.network': '网络',
+    'holders.address': '地址',
+    'holders.quantity': '数量',
+    'holders.kind.treasury': '国库',
+    'holders.kind.vesting': '解锁合约',
+    'holders.kind.bridge': '跨链托管',
+    'holders.kind.burn': '销毁',
+
+    'reconciliation.title': '供应量核对',
+    'reconciliation.apiTotal': '总供应量（WOO Network API）',
+    'reconciliation.canonicalTotal': '{chain} 链上 totalSupply()',
+    'reconciliation.bridgedTotal': '跨链网络供应量',
+    'reconciliation.onChainSum': '链上合计',
+    'reconciliation.implied': '推算锁定或未核对量（链上合计 − API 总量）',
+    'reconciliation.bridgeEscrow': '已标注跨链桥托管持有',
+    'reconciliation.unaccounted': '未核对',
+    'reconciliation.ok': '链上数据与 API 总量相符：未核对 {percent}（容差 {tolerance}）',
+    'reconciliation.warning': '⚠ API 总供应量中有 {percent} 未能核对（容差 {tolerance}），“供应占比”数据可能不准确',
+    'reconciliation.noApiTotal': '无法获取 API 总供应量，暂无法核对链上数据',
+    'reconciliation.lockAndMint': 'holders.json 中未配置跨链桥托管地址，因此直接比较 {chain} totalSupply() 与 API 总量。若跨链代币在 {chain} 上锁定、在其他链上铸造，两者应一致。',
+    'reconciliation.asOf': '链上数据时间：{date}'
+};
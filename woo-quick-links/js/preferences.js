@@ -0,0 +1,83 @@
+/**
+ * User display preferences persisted in localStorage
+ */
+
+const CURRENCY_STORAGE_KEY = 'woo_currency';
+const LANGUAGE_STORAGE_KEY = 'woo_language';
+
+// UI languages with a message catalog in js/locales
+export const SUPPORTED_LANGUAGES = ['en', 'zh'];
+
+// Locale used for number formatting when the browser's locale is for another language
+const DEFAULT_LOCALES = {
+    en: 'en-US',
+    zh: 'zh-CN'
+};
+
+// Currencies offered in the selector (CoinGecko vs_currencies codes)
+export const SUPPORTED_CURRENCIES = ['usd', 'eur', 'cny', 'btc', 'eth'];
+
+const DEFAULT_CURRENCY = 'usd';
+
+/**
+ * Returns the selected display currency
+ * @returns {string} Lowercase currency code from SUPPORTED_CURRENCIES
+ */
+export function getCurrency() {
+    const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return SUPPORTED_CURRENCIES.includes(stored) ? stored : DEFAULT_CURRENCY;
+}
+
+/**
+ * Stores the selected display currency
+ * @param {string} currency - Lowercase currency code from SUPPORTED_CURRENCIES
+ */
+export function setCurrency(currency) {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+}
+
+/**
+ * Returns the UI language: the stored choice, else the first supported
+ * browser language, else English
+ * @returns {string} Language code from SUPPORTED_LANGUAGES
+ */
+export function getLanguage() {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (SUPPORTED_LANGUAGES.includes(stored)) {
+        return stored;
+    }
+
+    const browserLanguages = navigator.languages || [navigator.language || ''];
+    for (const tag of browserLanguages) {
+        const language = tag.toLowerCase().split('-')[0];
+        if (SUPPORTED_LANGUAGES.includes(language)) {
+            return language;
+        }
+    }
+    return 'en';
+}
+
+/**
+ * Stores the selected UI language
+ * @param {string} language - Language code from SUPPORTED_LANGUAGES
+ */
+export function setLanguage(language) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+        throw new Error(`Unsupported language: ${language}`);
+    }
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+}
+
+/**
+ * Returns the locale used for number and date formatting. Keeps the browser's
+ * regional variant (e.g. en-GB) when it matches the UI language.
+ * @returns {string} BCP 47 locale tag
+ */
+export function getLocale() {
+    const language = getLanguage();
+    const browserLocale = navigator.language || '';
+    return browserLocale.toLowerCase().startsWith(language) ? browserLocale : DEFAULT_LOCALES[language];
+}
@@ -0,0 +1,162 @@
+/**
+ * Fuzzy search over links
+ * Shared by the search box above the grid and the Ctrl/Cmd+K command palette
+ */
+
+import { getLinkName } from './i18n.js';
+
+// Relative weight of each searchable field (a name match beats a tag match)
+const FIELD_WEIGHTS = {
+    name: 1,
+    tag: 0.8,
+    address: 0.8,
+    category: 0.6
+};
+
+// Weighted scores below this are scattered letters rather than real matches
+const MIN_SCORE = 0.35;
+
+/**
+ * Matches a query against text, preferring substrings and falling back to
+ * an in-order subsequence ("wfd" matches "WOOFi Dashboard")
+ * @param {string} query - Lower-cased, trimmed query
+ * @param {string} text - Text to search
+ * @returns {Object|null} { score, ranges } with score in 0..1 and ranges as
+ * [start, end) index pairs into text, or null when there is no match
+ */
+export function fuzzyMatch(query, text) {
+    if (!query || !text) {
+        return null;
+    }
+
+    const lowerText = text.toLowerCase();
+
+    const index = lowerText.indexOf(query);
+    if (index !== -1) {
+        // Substring: best at the start of the text or of a word
+        const atWordStart = index === 0 || /[\s\-_.(]/.test(lowerText[index - 1]);
+        const score = index === 0 ? 1 : atWordStart ? 0.9 : 0.75;
+        return { score, ranges: [[index, index + query.length]] };
+    }
+
+    // Subsequence: reward characters that continue a run or start a word
+    const ranges = [];
+    let points = 0;
+    let position = 0;
+    for (const char of query) {
+        if (char === ' ') continue;
+
+        const found = lowerText.indexOf(char, position);
+        if (found === -1) {
+            return null;
+        }
+
+        const lastRange = ranges[ranges.length - 1];
+        if (lastRange && lastRange[1] === found) {
+            lastRange[1] = found + 1;
+            points += 1;
+        } else {
+            ranges.push([found, found + 1]);
+            points += found === 0 || /[\s\-_.(]/.test(lowerText[found - 1]) ? 0.8 : 0.2;
+        }
+        position = found + 1;
+    }
+
+    return { score: 0.7 * (points / query.replace(/ /g, '').length), ranges };
+}
+
+/**
+ * Lists the searchable fields of a link
+ * @param {Object} link - Link object
+ * @param {Function} getCategoryName - Returns the display name for a category id
+ * @returns {Array<Object>} { field, text } pairs
+ */
+function getSearchFields(link, getCategoryName) {
+    const fields = [
+        { field: 'name', text: getLinkName(link) },
+        { field: 'category', text: getCategoryName(link.category) }
+    ];
+
+    // Also match the English name when a localized name is shown
+    if (getLinkName(link) !== link.name) {
+        fields.push({ field: 'name', text: link.name });
+    }
+
+    (link.tags || []).forEach(tag => fields.push({ field: 'tag', text: tag }));
+
+    if (link.contractAddress) {
+        fields.push({ field: 'address', text: link.contractAddress });
+    }
+
+    return fields;
+}
+
+/**
+ * Searches links by name, category, tags and contract address
+ * @param {Array} links - Link objects
+ * @param {string} query - Search text
+ * @param {Function} getCategoryName - Returns the display name for a category id
+ * @returns {Array<Object>} Matches sorted best first, each
+ * { link, score, field, text, ranges, nameRanges, categoryName }
+ */
+export function searchLinks(links, query, getCategoryName) {
+    const normalizedQuery = query.trim().toLowerCase();
+    if (!normalizedQuery) {
+        return [];
+    }
+
+    const results = [];
+
+    links.forEach(link => {
+        let best = null;
+        let nameRanges = [];
+
+        getSearchFields(link, getCategoryName).forEach(({ field, text }) => {
+            // Addresses are long hex strings, so only exact fragments are meaningful
+            const match = field === 'address'
+                ? (text.toLowerCase().includes(normalizedQuery) ? fuzzyMatch(normalizedQuery, text) : null)
+                : fuzzyMatch(normalizedQuery, text);
+            const score = match ? match.score * FIELD_WEIGHTS[field] : 0;
+            if (score < MIN_SCORE) return;
+
+            if (field === 'name' && text === getLinkName(link)) {
+                nameRanges = match.ranges;
+            }
+
+            if (!best || score > best.score) {
+                best = { link, score, field, text, ranges: match.ranges };
+            }
+        });
+
+        if (best) {
+            results.push({ ...best, nameRanges, categoryName: getCategoryName(link.category) });
+        }
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Fills an element with text, wrapping matched ranges in <mark>
+ * @param {HTMLElement} element - Element to fill (existing content is replaced)
+ * @param {string} text - Text to show
+ * @param {Array} ranges - [start, end) index pairs from fuzzyMatch
+ */
+export function renderHighlightedText(element, text, ranges = []) {
+    element.textContent = '';
+
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        if (start > position) {
+            element.appendChild(document.createTextNode(text.slice(position, start)));
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        element.appendChild(mark);
+        position = end;
+    });
+
+    if (position < text.length) {
+        element.appendChild(document.createTextNode(text.slice(position)));
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Stat cards for WOO token metrics
+ * Shared by the stats bar in app.js and the embeddable widget
+ */
+
+import { t } from './i18n.js';
+import {
+    formatNumber,
+    formatCurrency,
+    formatPrice,
+    formatPercentChange
+} from './format.js';
+
+/**
+ * Builds the price, market cap, MC/FDV, supply, burned and FDV cards
+ * @param {Object} metrics - Metrics from fetchWOOMetrics
+ * @returns {string} HTML for the stat cards
+ */
+export function renderStatCards(metrics) {
+    const changeClass = metrics.priceChange24h >= 0 ? 'positive' : 'negative';
+    const mcFdvRatio = metrics.fdv > 0 ? formatNumber(metrics.marketCap / metrics.fdv) : '-';
+
+    // Circulating supply subtracts the LOCKED_SUPPLY constant until treasury
+    // and vesting holders are configured in holders.json
+    const estimateBadge = metrics.lockedFromChain === false
+        ? ` <span class="estimate-badge" title="${t('stats.lockedEstimateHint')}">${t('stats.estimate')}</span>`
+        : '';
+
+    return `
+        <div class="stat-card">
+            <div class="stat-label">${t('stats.price')}</div>
+            <div class="stat-value">
+                ${formatPrice(metrics.price, metrics.currency)}
+                <span class="change-badge ${changeClass}" title="${t('stats.change24h')}">${formatPercentChange(metrics.priceChange24h)}</span>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">${t('stats.marketCap')}</div>
+            <div class="stat-value">${formatCurrency(metrics.marketCap, metrics.currency)}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">${t('stats.mcFdv')}</div>
+            <div class="stat-value">${mcFdvRatio}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">${t('stats.circSupply')}${estimateBadge}</div>
+            <div class="stat-value">${formatNumber(metrics.circulatingSupply)}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">${t('stats.burned')}</div>
+            <div class="stat-value">${formatNumber(metrics.burnedAmount)}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">${t('stats.fdv')}</div>
+            <div class="stat-value">${formatCurrency(metrics.fdv, metrics.currency)}</div>
+        </div>
+    `;
+}
@@ -0,0 +1,54 @@
+/**
+ * URL-persisted view state
+ * Keeps the active category filter, Distribution table sort and text filter
+ * in the query string so a shared link opens the same view
+ */
+
+const DEFAULT_STATE = {
+    filter: 'all',
+    sortKey: 'balance',
+    sortDirection: 'desc',
+    query: ''
+};
+
+/**
+ * Reads the view state from the current URL
+ * @returns {Object} View state with filter, sortKey, sortDirection and query
+ */
+export function readViewState() {
+    const params = new URLSearchParams(window.location.search);
+    const direction = params.get('dir');
+
+    return {
+        filter: params.get('filter') || DEFAULT_STATE.filter,
+        sortKey: params.get('sort') || DEFAULT_STATE.sortKey,
+        sortDirection: direction === 'asc' || direction === 'desc' ? direction : DEFAULT_STATE.sortDirection,
+        query: params.get('q') || DEFAULT_STATE.query
+    };
+}
+
+/**
+ * Writes the view state to the URL without adding a history entry.
+ * Default values are omitted to keep shared links short.
+ * @param {Object} state - View state with filter, sortKey, sortDirection and query
+ */
+export function writeViewState(state) {
+    const params = new URLSearchParams(window.location.search);
+
+    const setParam = (name, value, defaultValue) => {
+        if (value && value !== defaultValue) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    };
+
+    setParam('filter', state.filter, DEFAULT_STATE.filter);
+    setParam('sort', state.sortKey, DEFAULT_STATE.sortKey);
+    setParam('dir', state.sortDirection, DEFAULT_STATE.sortDirection);
+    setParam('q', state.query.trim(), DEFAULT_STATE.query);
+
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+}
@@ -0,0 +1,211 @@
+/**
+ * Per-browser favorites and custom links persisted in localStorage
+ * Favorites are stored by link URL so they survive links.json reordering.
+ * Both can be exported to and imported from a JSON file.
+ */
+
+import { getLinkProblems } from './link-validation.js';
+
+const FAVORITES_STORAGE_KEY = 'woo_favorites';
+const CUSTOM_LINKS_STORAGE_KEY = 'woo_custom_links';
+
+// Bumped when the export format changes incompatibly
+const EXPORT_VERSION = 1;
+
+// Card image for custom links without an icon
+export const DEFAULT_CUSTOM_LINK_IMAGE = 'assets/woo-token.svg';
+
+/**
+ * Reads a JSON array from localStorage, ignoring missing or corrupt values
+ * @param {string} key - Storage key
+ * @returns {Array} Stored array, or an empty array
+ */
+function readStoredArray(key) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(value) ? value : [];
+    } catch (error) {
+        console.warn(`Ignoring corrupt ${key} in localStorage:`, error);
+        return [];
+    }
+}
+
+/**
+ * Returns the URLs of favorited links
+ * @returns {Array<string>} Link URLs, in the order they were starred
+ */
+export function getFavorites() {
+    return readStoredArray(FAVORITES_STORAGE_KEY).filter(url => typeof url === 'string');
+}
+
+/**
+ * Tells whether a link is favorited
+ * @param {Object} link - Link object
+ * @returns {boolean} True when the link's URL is in the favorites
+ */
+export function isFavorite(link) {
+    return getFavorites().includes(link.url);
+}
+
+/**
+ * Stars or un-stars a link
+ * @param {Object} link - Link object
+ * @returns {boolean} True when the link is now a favorite
+ */
+export function toggleFavorite(link) {
+    const favorites = getFavorites();
+    const favorite = !favorites.includes(link.url);
+    const updated = favorite
+        ? [...favorites, link.url]
+        : favorites.filter(url => url !== link.url);
+
+    localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(updated));
+    return favorite;
+}
+
+/**
+ * Turns user input into a custom link object
+ * @param {Object} input - { name, url, image, category }
+ * @returns {Object} Link object marked with custom: true
+ */
+function toCustomLink(input) {
+    return {
+        id: input.id || `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: String(input.name || '').trim(),
+        url: String(input.url || '').trim(),
+        image: String(input.image || '').trim() || DEFAULT_CUSTOM_LINK_IMAGE,
+        category: input.category,
+        custom: true
+    };
+}
+
+/**
+ * Lists the problems with a custom link. Custom links may only use card
+ * categories, since distribution tables need chain data.
+ * @param {Object} link - Custom link object
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {Array<string>} Problems found, empty when the link is usable
+ */
+export function getCustomLinkProblems(link, categories) {
+    const cardCategories = categories.filter(category => category.render === 'cards');
+    return getLinkProblems(link, cardCategories);
+}
+
+/**
+ * Returns the stored custom links that are still valid
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {Array} Custom link objects
+ */
+export function getCustomLinks(categories) {
+    return readStoredArray(CUSTOM_LINKS_STORAGE_KEY)
+        .map(toCustomLink)
+        .filter(link => {
+            const problems = getCustomLinkProblems(link, categories);
+            if (problems.length > 0) {
+                console.warn(`Skipping custom link "${link.name}": ${problems.join(', ')}`);
+                return false;
+            }
+            return true;
+        });
+}
+
+/**
+ * Saves the custom links
+ * @param {Array} links - Custom link objects
+ */
+function saveCustomLinks(links) {
+    const stored = links.map(({ id, name, url, image, category }) => ({ id, name, url, image, category }));
+    localStorage.setItem(CUSTOM_LINKS_STORAGE_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Adds a custom link
+ * @param {Object} input - { name, url, image, category } from the form
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {Object} The stored link
+ * @throws {Error} When the link is invalid; the message lists the problems
+ */
+export function addCustomLink(input, categories) {
+    const link = toCustomLink(input);
+    const problems = getCustomLinkProblems(link, categories);
+    if (problems.length > 0) {
+        throw new Error(problems.join(', '));
+    }
+
+    saveCustomLinks([...getCustomLinks(categories), link]);
+    return link;
+}
+
+/**
+ * Removes a custom link and its favorite star
+ * @param {Object} link - Custom link object
+ * @param {Array} categories - Category objects from categories.json
+ */
+export function removeCustomLink(link, categories) {
+    saveCustomLinks(getCustomLinks(categories).filter(entry => entry.id !== link.id));
+    if (isFavorite(link)) {
+        toggleFavorite(link);
+    }
+}
+
+/**
+ * Serializes favorites and custom links for moving to another browser
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportUserLinks(categories) {
+    const customLinks = getCustomLinks(categories)
+        .map(({ name, url, image, category }) => ({ name, url, image, category }));
+
+    return JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        favorites: getFavorites(),
+        customLinks
+    }, null, 4);
+}
+
+/**
+ * Merges an export into this browser's favorites and custom links.
+ * Custom links whose URL already exists are skipped.
+ * @param {string} json - Contents of an exported file
+ * @param {Array} categories - Category objects from categories.json
+ * @returns {Object} { favorites, customLinks, skipped } counts of what was added
+ * @throws {Error} When the file is not a valid export
+ */
+export function importUserLinks(json, categories) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`not valid JSON (${error.message})`);
+    }
+
+    if (!data || data.version !== EXPORT_VERSION
+        || !Array.isArray(data.favorites) || !Array.isArray(data.customLinks)) {
+        throw new Error(`not a version ${EXPORT_VERSION} links export`);
+    }
+
+    const existingLinks = getCustomLinks(categories);
+    const knownUrls = new Set(existingLinks.map(link => link.url));
+    const addedLinks = [];
+    let skipped = 0;
+
+    data.customLinks.forEach(entry => {
+        const link = toCustomLink({ ...entry, id: null });
+        if (knownUrls.has(link.url) || getCustomLinkProblems(link, categories).length > 0) {
+            skipped++;
+            return;
+        }
+        knownUrls.add(link.url);
+        addedLinks.push(link);
+    });
+    saveCustomLinks([...existingLinks, ...addedLinks]);
+
+    const favorites = getFavorites();
+    const addedFavorites = data.favorites
+        .filter(url => typeof url === 'string' && !favorites.includes(url));
+    localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify([...favorites, ...new Set(addedFavorites)]));
+
+    return { favorites: new Set(addedFavorites).size, customLinks: addedLinks.length, skipped };
+}
@@ -0,0 +1,205 @@
+/**
+ * Service worker: offline support for WOO at a glance
+ * Precaches the page shell, assets and data files on install, then serves:
+ * - data/metrics.json and api/v1/* network-first, falling back to the cache
+ *   offline, so js/api.js's freshness check and "Copy JSON" see current figures
+ * - other data/*.json, HTML, JS and CSS stale-while-revalidate (cached copy
+ *   now, fresh copy for the next visit), so deploys and data updates still arrive
+ * - images cache-first, since asset files are replaced rather than edited
+ * - Chart.js and Google Fonts stale-while-revalidate, so a slow CDN no longer
+ *   blocks the page
+ * Live price APIs are never cached here; js/api.js keeps the last known
+ * metrics for offline display instead.
+ */
+
+// Bump when the precache list changes so old caches are dropped on activate
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `woo-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `woo-data-${CACHE_VERSION}`;
+const CDN_CACHE = `woo-cdn-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'manifest.webmanifest',
+    'js/api.js',
+    'js/command-palette.js',
+    'js/distribution-chart.js',
+    'js/format.js',
+    'js/i18n.js',
+    'js/link-validation.js',
+    'js/preferences.js',
+    'js/search.js',
+    'js/stats-view.js',
+    'js/url-state.js',
+    'js/user-links.js',
+    'js/locales/en.js',
+    'js/locales/zh.js',
+    'assets/chains/Base.png',
+    'assets/chains/arbitrum.png',
+    'assets/chains/avalanche.png',
+    'assets/chains/bsc.png',
+    'assets/chains/ethereum.png',
+    'assets/chains/mantle.png',
+    'assets/chains/optimism.png',
+    'assets/chains/polygon.png',
+    'assets/chains/solana.png',
+    'assets/discord.png',
+    'assets/starchild-x.png',
+    'assets/starchild.png',
+    'assets/woo-logo.svg',
+    'assets/woo-tg.png',
+    'assets/woo-token.svg',
+    'assets/woo-zh-tg.png',
+    'assets/woofi-buyback-dune.png',
+    'assets/woofi-dashboard.svg',
+    'assets/woofi-icon-blue.svg',
+    'assets/woofi-pro.svg',
+    'assets/woofi-stake-dune.png',
+    'assets/woofi-stake.svg',
+    'assets/woofi-swap-dune.png',
+    'assets/woofi-x.png',
+    'assets/x.avif'
+];
+
+const DATA_FILES = [
+    'data/links.json',
+    'data/categories.json',
+    'data/chains.json',
+    'data/history.json',
+    'data/holders.json',
+    'data/link-health.json',
+    'data/metrics.json'
+];
+
+// Third-party files the page needs; precached best-effort since the CDN may be unreachable
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+    'https://fonts.googleapis.com/css2?family=IBM+Plex+Sans:wght@400;600;700&display=swap'
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Fetches a request and stores successful responses in a cache
+ * @param {Request} request - Request to fetch
+ * @param {string} cacheName - Cache to store the response in
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndCache(request, cacheName) {
+    const response = await fetch(request);
+    // Opaque (no-cors) responses report status 0 but are still worth keeping for CDN files
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serves the cached response immediately and refreshes the cache in the background
+ * @param {FetchEvent} event - Fetch event (keeps the worker alive for the refresh)
+ * @param {string} cacheName - Cache to read and update
+ * @param {Object} matchOptions - Cache match options, e.g. { ignoreSearch: true }
+ * @returns {Promise<Response>} Cached response, or the network response on a miss
+ */
+async function staleWhileRevalidate(event, cacheName, matchOptions = {}) {
+    const cached = await caches.match(event.request, matchOptions);
+    const refresh = fetchAndCache(event.request, cacheName);
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Serves from the network, falling back to the cache when it is unreachable
+ * @param {Request} request - Request to serve
+ * @param {string} cacheName - Cache to update
+ * @returns {Promise<Response>} Network response, or the cached copy offline
+ */
+async function networkFirst(request, cacheName) {
+    try {
+        return await fetchAndCache(request, cacheName);
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves from cache, falling back to (and caching) the network
+ * @param {Request} request - Request to serve
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    return cached || fetchAndCache(request, cacheName);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const [shellCache, dataCache, cdnCache] = await Promise.all([
+            caches.open(SHELL_CACHE),
+            caches.open(DATA_CACHE),
+            caches.open(CDN_CACHE)
+        ]);
+
+        await Promise.all([
+            shellCache.addAll(SHELL_FILES),
+            dataCache.addAll(DATA_FILES),
+            ...CDN_FILES.map(url => cdnCache.add(url).catch(error => {
+                console.warn(`Could not precache ${url}:`, error);
+            }))
+        ]);
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('woo-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            // Any query string (filters, sort) is served by the same page
+            event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { ignoreSearch: true }));
+        } else if (url.pathname.endsWith('/data/metrics.json') || url.pathname.includes('/api/')) {
+            event.respondWith(networkFirst(request, DATA_CACHE));
+        } else if (url.pathname.includes('/data/')) {
+            event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+        } else if (url.pathname.includes('/assets/')) {
+            event.respondWith(cacheFirst(request, SHELL_CACHE));
+        } else {
+            event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+        }
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+    }
+
+    // Everything else (price and supply APIs) goes straight to the network
+});